@@ -17,40 +17,157 @@ let wasm = null;
 let preloadedFiles = new Map();
 
 /**
- * Files to preload on initialization
- * Add file paths relative to the HTML page location
- * @type {string[]}
+ * Path of the JSON asset manifest, relative to the HTML page location
+ * @type {string}
  */
-const filesToPreload = [
-    'public/font.ttf',
-    // Add more files here as needed
-];
+const assetManifestPath = 'assets.json';
 
 /**
- * Preloads files from the server into memory
+ * Asset manifest entry
+ * @typedef {Object} AssetEntry
+ * @property {string} path - File path relative to the HTML page location
+ * @property {number} [size] - Expected size in bytes, used for progress before the response arrives
+ * @property {string} [group] - Optional group name
+ */
+
+/**
+ * Asset manifest loaded from assetManifestPath
+ * When `preloadGroups` is present only ungrouped files and files in those
+ * groups are preloaded, otherwise every file is.
+ * @type {{files: AssetEntry[], preloadGroups?: string[]}}
+ */
+let assetManifest = { files: [] };
+
+/**
+ * Files to preload on initialization, filled from the asset manifest
+ * @type {AssetEntry[]}
+ */
+let filesToPreload = [];
+
+/**
+ * Errors collected while preloading, shown on the loading screen
+ * @type {Array<{path: string, message: string}>}
+ */
+let preloadErrors = [];
+
+/**
+ * Fetches the asset manifest and selects the files to preload
+ * @returns {Promise<void>}
+ */
+async function loadAssetManifest() {
+    try {
+        const response = await fetch(assetManifestPath);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        assetManifest = await response.json();
+    } catch (error) {
+        console.error(`Error loading asset manifest ${assetManifestPath}:`, error);
+        reportPreloadError(assetManifestPath, error.message);
+        assetManifest = { files: [] };
+    }
+
+    const groups = assetManifest.preloadGroups;
+    filesToPreload = (assetManifest.files || []).filter((entry) => {
+        return !groups || !entry.group || groups.includes(entry.group);
+    });
+}
+
+/**
+ * Fetches a file, streaming the body to report byte-level progress
+ * @param {string} filepath - File path relative to the HTML page location
+ * @param {(bytes: number, total: number) => void} [onProgress] - Called with bytes received so far and the total (0 if unknown)
+ * @returns {Promise<Uint8Array>} File contents
+ */
+async function fetchFileWithProgress(filepath, onProgress) {
+    const response = await fetch(filepath);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body) {
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (onProgress) onProgress(data.length, total);
+        return data;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        if (onProgress) onProgress(received, total);
+    }
+
+    if (chunks.length === 1) {
+        return chunks[0];
+    }
+
+    const data = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return data;
+}
+
+/**
+ * Preloads the manifest files from the server into memory
  * @returns {Promise<void>}
  */
 async function preloadFiles() {
+    await loadAssetManifest();
     console.log(`Preloading ${filesToPreload.length} files...`);
-    
-    const promises = filesToPreload.map(async (filepath) => {
+
+    // Bytes received per file; the expected size comes from the manifest and is
+    // replaced by Content-Length once the response headers arrive
+    const received = new Map();
+    const expected = new Map();
+    for (const entry of filesToPreload) {
+        received.set(entry.path, 0);
+        expected.set(entry.path, entry.size || 0);
+    }
+
+    const updateProgress = (current) => {
+        let loadedBytes = 0;
+        let totalBytes = 0;
+        for (const [path, bytes] of received) {
+            loadedBytes += bytes;
+            totalBytes += Math.max(bytes, expected.get(path));
+        }
+        updateLoadingScreen(loadedBytes, totalBytes, current);
+    };
+
+    updateProgress(null);
+
+    const promises = filesToPreload.map(async (entry) => {
+        const filepath = entry.path;
         try {
-            const response = await fetch(filepath);
-            if (!response.ok) {
-                console.warn(`Failed to load file: ${filepath} (${response.status})`);
-                return;
-            }
-            
-            const arrayBuffer = await response.arrayBuffer();
-            const uint8Array = new Uint8Array(arrayBuffer);
-            preloadedFiles.set(filepath, uint8Array);
-            console.log(`Loaded: ${filepath} (${uint8Array.length} bytes)`);
+            const data = await fetchFileWithProgress(filepath, (bytes, total) => {
+                received.set(filepath, bytes);
+                if (total) expected.set(filepath, total);
+                updateProgress(entry);
+            });
+            received.set(filepath, data.length);
+            expected.set(filepath, data.length);
+            preloadedFiles.set(filepath, data);
+            console.log(`Loaded: ${filepath} (${data.length} bytes)`);
         } catch (error) {
             console.error(`Error loading file ${filepath}:`, error);
+            expected.set(filepath, 0);
+            received.set(filepath, 0);
+            reportPreloadError(filepath, error.message);
         }
+        updateProgress(null);
     });
-    
+
     await Promise.all(promises);
+    finishLoadingScreen();
     console.log(`Preloading complete. ${preloadedFiles.size} files loaded.`);
 }
 
@@ -109,6 +226,347 @@ function js_get_file_size(path_ptr, path_len) {
     return fileData ? fileData.length : 0;
 }
 
+/**
+ * Status codes reported to WASM for js_request_file
+ * @readonly
+ * @enum {number}
+ */
+const OS_File_Request_Status = {
+    OK: 0,
+    NOT_FOUND: 1,
+    ERROR: 2,
+};
+
+/**
+ * In-flight on-demand fetches, so concurrent requests for a path share one download
+ * @type {Map<string, Promise<number>>}
+ */
+let pendingFileRequests = new Map();
+
+/**
+ * Fetches a file into preloadedFiles, resolving with an OS_File_Request_Status
+ * Files that are already loaded resolve immediately with OK.
+ * @param {string} path - File path relative to the HTML page location
+ * @returns {Promise<number>} OS_File_Request_Status value
+ */
+function loadFileOnDemand(path) {
+    if (preloadedFiles.has(path)) {
+        return Promise.resolve(OS_File_Request_Status.OK);
+    }
+
+    let pending = pendingFileRequests.get(path);
+    if (pending) {
+        return pending;
+    }
+
+    pending = (async () => {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                console.warn(`Failed to load file: ${path} (${response.status})`);
+                return response.status === 404
+                    ? OS_File_Request_Status.NOT_FOUND
+                    : OS_File_Request_Status.ERROR;
+            }
+
+            const data = new Uint8Array(await response.arrayBuffer());
+            preloadedFiles.set(path, data);
+            console.log(`Loaded: ${path} (${data.length} bytes)`);
+            return OS_File_Request_Status.OK;
+        } catch (error) {
+            console.error(`Error loading file ${path}:`, error);
+            return OS_File_Request_Status.ERROR;
+        } finally {
+            pendingFileRequests.delete(path);
+        }
+    })();
+
+    pendingFileRequests.set(path, pending);
+    return pending;
+}
+
+/**
+ * Starts loading a file at runtime
+ * Completion is reported asynchronously by calling the WASM export
+ * wasm_on_file_request(request_id, status), never from inside this call.
+ * Once it reports OK the file is available through js_get_file_size and
+ * js_copy_file_to_wasm.
+ * @param {number} path_ptr - Pointer to path string in WASM memory
+ * @param {number} path_len - Length of path string
+ * @param {number} request_id - Caller-chosen id passed back on completion
+ */
+function js_request_file(path_ptr, path_len, request_id) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const path = cstr_by_ptr(buffer, path_ptr, path_len);
+
+    loadFileOnDemand(path).then((status) => {
+        const callback = wasm.instance.exports.wasm_on_file_request;
+        if (callback) {
+            callback(request_id, status);
+        } else {
+            console.warn(`js_request_file: WASM does not export wasm_on_file_request (request ${request_id})`);
+        }
+    });
+}
+
+// ============================================================================
+// Persistent File System
+// ============================================================================
+
+/**
+ * Writable mount point; files under it are persisted to IndexedDB
+ * Everything else in preloadedFiles is read-only from WASM.
+ * @type {string}
+ */
+const persistentMountPoint = '/user/';
+
+const persistentDBName = 'swar-fs';
+const persistentStoreName = 'files';
+
+/** @type {Promise<IDBDatabase> | null} */
+let persistentDB = null;
+
+/**
+ * Opens (and creates on first use) the IndexedDB database backing the mount point
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPersistentDB() {
+    if (!persistentDB) {
+        persistentDB = new Promise((resolve, reject) => {
+            const request = indexedDB.open(persistentDBName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(persistentStoreName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return persistentDB;
+}
+
+/**
+ * Runs a single request against the files object store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} action - Creates the request
+ * @returns {Promise<any>} The request result
+ */
+async function persistentStoreRequest(mode, action) {
+    const db = await openPersistentDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(persistentStoreName, mode);
+        const request = action(transaction.objectStore(persistentStoreName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Loads every persisted file into preloadedFiles
+ * Must finish before wasm_main() so saved data is visible at startup.
+ * @returns {Promise<void>}
+ */
+async function restorePersistentFiles() {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB not available, files under ' + persistentMountPoint + ' will not persist');
+        return;
+    }
+
+    try {
+        // One cursor keeps each path with its contents, even if another tab writes meanwhile
+        const db = await openPersistentDB();
+        const count = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(persistentStoreName, 'readonly');
+            const request = transaction.objectStore(persistentStoreName).openCursor();
+            let restored = 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    preloadedFiles.set(cursor.key, cursor.value);
+                    restored++;
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(restored);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        console.log(`Restored ${count} persistent files.`);
+    } catch (error) {
+        console.error('Error restoring persistent files:', error);
+    }
+}
+
+/**
+ * @param {string} path - File path
+ * @returns {boolean} True if WASM may write or delete the path
+ */
+function isWritablePath(path) {
+    return path.startsWith(persistentMountPoint) && path.length > persistentMountPoint.length;
+}
+
+/**
+ * Writes a file under the persistent mount point
+ * The in-memory copy is updated immediately, the IndexedDB write happens in the background.
+ * @param {number} path_ptr - Pointer to path string in WASM memory
+ * @param {number} path_len - Length of path string
+ * @param {number} data_ptr - Pointer to file contents in WASM memory
+ * @param {number} size - Number of bytes to write
+ * @returns {number} 1 on success, 0 if the path is not writable
+ */
+function js_write_file(path_ptr, path_len, data_ptr, size) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const path = cstr_by_ptr(buffer, path_ptr, path_len);
+    if (!isWritablePath(path)) {
+        console.warn(`Cannot write ${path}: only files under ${persistentMountPoint} are writable`);
+        return 0;
+    }
+
+    // Copy out of WASM memory, the caller is free to reuse the buffer
+    const data = new Uint8Array(buffer, data_ptr, size).slice();
+    preloadedFiles.set(path, data);
+
+    if (typeof indexedDB !== 'undefined') {
+        persistentStoreRequest('readwrite', (store) => store.put(data, path)).catch((error) => {
+            console.error(`Error persisting file ${path}:`, error);
+        });
+    }
+    return 1;
+}
+
+/**
+ * Deletes a file under the persistent mount point
+ * @param {number} path_ptr - Pointer to path string in WASM memory
+ * @param {number} path_len - Length of path string
+ * @returns {number} 1 if the file was deleted, 0 if it did not exist or is not writable
+ */
+function js_delete_file(path_ptr, path_len) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const path = cstr_by_ptr(buffer, path_ptr, path_len);
+    if (!isWritablePath(path)) {
+        console.warn(`Cannot delete ${path}: only files under ${persistentMountPoint} are writable`);
+        return 0;
+    }
+    if (!preloadedFiles.delete(path)) {
+        return 0;
+    }
+
+    if (typeof indexedDB !== 'undefined') {
+        persistentStoreRequest('readwrite', (store) => store.delete(path)).catch((error) => {
+            console.error(`Error deleting persisted file ${path}:`, error);
+        });
+    }
+    return 1;
+}
+
+/**
+ * @param {number} path_ptr - Pointer to path string in WASM memory
+ * @param {number} path_len - Length of path string
+ * @returns {number} 1 if the file is loaded (preloaded, fetched or written), 0 otherwise
+ */
+function js_file_exists(path_ptr, path_len) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const path = cstr_by_ptr(buffer, path_ptr, path_len);
+    return preloadedFiles.has(path) ? 1 : 0;
+}
+
+/**
+ * Lists the entries directly inside a directory
+ * Entries are newline-separated names; subdirectories end with '/'.
+ * Works for any directory in preloadedFiles, not only the writable mount.
+ * @param {number} path_ptr - Pointer to directory path string in WASM memory
+ * @param {number} path_len - Length of directory path string
+ * @param {number} dest_ptr - Destination pointer in WASM memory
+ * @param {number} max_size - Maximum bytes to copy
+ * @returns {number} Full length of the listing in bytes (may exceed max_size, only max_size bytes are copied)
+ */
+function js_list_directory(path_ptr, path_len, dest_ptr, max_size) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    let dir = cstr_by_ptr(buffer, path_ptr, path_len);
+    if (dir.length > 0 && !dir.endsWith('/')) {
+        dir += '/';
+    }
+
+    const entries = new Set();
+    for (const path of preloadedFiles.keys()) {
+        if (!path.startsWith(dir)) continue;
+        const rest = path.slice(dir.length);
+        const slash = rest.indexOf('/');
+        entries.add(slash === -1 ? rest : rest.slice(0, slash + 1));
+    }
+
+    const listing = new TextEncoder().encode(Array.from(entries).sort().join('\n'));
+    const bytesToCopy = Math.min(listing.length, max_size);
+    new Uint8Array(buffer, dest_ptr, bytesToCopy).set(listing.subarray(0, bytesToCopy));
+    return listing.length;
+}
+
+// ============================================================================
+// Loading Screen
+// ============================================================================
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Updates the progress bar and status line of the loading screen
+ * @param {number} loadedBytes - Bytes received so far
+ * @param {number} totalBytes - Total bytes expected
+ * @param {AssetEntry | null} current - File that last made progress
+ */
+function updateLoadingScreen(loadedBytes, totalBytes, current) {
+    const fill = document.getElementById('loading-bar-fill');
+    const status = document.getElementById('loading-status');
+    if (!fill || !status) return;
+
+    const fraction = totalBytes > 0 ? Math.min(loadedBytes / totalBytes, 1) : 0;
+    fill.style.width = `${(fraction * 100).toFixed(1)}%`;
+
+    let text = `${formatBytes(loadedBytes)} / ${formatBytes(totalBytes)}`;
+    if (current) {
+        text = `${current.group ? `[${current.group}] ` : ''}${current.path} - ${text}`;
+    }
+    status.textContent = text;
+}
+
+/**
+ * Records a failed file and adds it to the loading screen error list
+ * @param {string} path - Path of the file that failed
+ * @param {string} message - Error description
+ */
+function reportPreloadError(path, message) {
+    preloadErrors.push({ path, message });
+
+    const errorList = document.getElementById('loading-errors');
+    if (!errorList) return;
+
+    const item = document.createElement('li');
+    item.textContent = `${path}: ${message}`;
+    errorList.appendChild(item);
+}
+
+/**
+ * Hides the loading screen, keeping the error list visible if any file failed
+ */
+function finishLoadingScreen() {
+    const screen = document.getElementById('loading-screen');
+    if (!screen) return;
+
+    if (preloadErrors.length === 0) {
+        screen.hidden = true;
+    } else {
+        screen.classList.add('finished');
+    }
+}
+
 // ============================================================================
 // Event System
 // ============================================================================
@@ -126,6 +584,45 @@ const OS_Window_Event_Type = {
     MOUSE_BUTTON: 4,
     MOUSE_MOVE: 5,
     MOUSE_SCROLL: 6,
+    FILE_DROP: 7,
+    TEXT: 8,
+    TOUCH_BEGIN: 9,
+    TOUCH_MOVE: 10,
+    TOUCH_END: 11,
+    GAMEPAD_CONNECT: 12,
+    GAMEPAD_DISCONNECT: 13,
+    GAMEPAD_BUTTON: 14,
+    GAMEPAD_AXIS: 15,
+    FOCUS: 16,
+    BLUR: 17,
+    VISIBILITY: 18,
+    CLIPBOARD: 19,
+    MOUSE_DELTA: 20,
+    POINTER_LOCK: 21,
+    MOUSE_SCROLL_PRECISE: 22,
+};
+
+/**
+ * Modifier key bitmask carried by events from event ABI version 2
+ * @readonly
+ * @enum {number}
+ */
+const OS_Modifier = {
+    SHIFT: 1 << 0,
+    CTRL: 1 << 1,
+    ALT: 1 << 2,
+    META: 1 << 3,
+    CAPS_LOCK: 1 << 4,
+    NUM_LOCK: 1 << 5,
+};
+
+/**
+ * Event flag bitmask carried by events from event ABI version 2
+ * @readonly
+ * @enum {number}
+ */
+const OS_Event_Flag = {
+    REPEAT: 1 << 0,
 };
 
 /**
@@ -139,6 +636,11 @@ const OS_Key = {
     MOUSE_M: 2,
     MOUSE_R: 3,
     
+    // Punctuation (ASCII of the unshifted US layout character)
+    APOSTROPHE: 39, COMMA: 44, MINUS: 45, PERIOD: 46, SLASH: 47,
+    SEMICOLON: 59, EQUAL: 61, LBRACKET: 91, BACKSLASH: 92, RBRACKET: 93,
+    GRAVE: 96,
+    
     // Numbers
     KEY_0: 48, KEY_1: 49, KEY_2: 50, KEY_3: 51, KEY_4: 52,
     KEY_5: 53, KEY_6: 54, KEY_7: 55, KEY_8: 56, KEY_9: 57,
@@ -158,7 +660,7 @@ const OS_Key = {
     RSHIFT: 259,
     LALT: 260,
     RALT: 261,
-    META: 262,
+    META: 262, // Left Meta
     TAB: 263,
     CAPS: 264,
     BACKSPACE: 265,
@@ -179,14 +681,192 @@ const OS_Key = {
     // Function keys
     F1: 276, F2: 277, F3: 278, F4: 279, F5: 280, F6: 281,
     F7: 282, F8: 283, F9: 284, F10: 285, F11: 286, F12: 287,
+    
+    // Navigation and system keys (appended after F12 to keep earlier values stable)
+    PAGE_UP: 288,
+    PAGE_DOWN: 289,
+    INSERT: 290,
+    PRINT_SCREEN: 291,
+    SCROLL_LOCK: 292,
+    PAUSE: 293,
+    CONTEXT_MENU: 294,
+    RMETA: 295,
+    
+    // Numpad
+    NUM_LOCK: 296,
+    NUMPAD_0: 297, NUMPAD_1: 298, NUMPAD_2: 299, NUMPAD_3: 300, NUMPAD_4: 301,
+    NUMPAD_5: 302, NUMPAD_6: 303, NUMPAD_7: 304, NUMPAD_8: 305, NUMPAD_9: 306,
+    NUMPAD_DECIMAL: 307,
+    NUMPAD_ADD: 308,
+    NUMPAD_SUBTRACT: 309,
+    NUMPAD_MULTIPLY: 310,
+    NUMPAD_DIVIDE: 311,
+    // 312 unused: NumpadEnter reports RETURN, like the main Enter key
+    NUMPAD_EQUAL: 313,
+    
+    // Key between left Shift and Z on ISO keyboards
+    INTL_BACKSLASH: 314,
+    
+    // Extended function keys
+    F13: 315, F14: 316, F15: 317, F16: 318, F17: 319, F18: 320,
+    F19: 321, F20: 322, F21: 323, F22: 324, F23: 325, F24: 326,
 };
 
 /**
- * Event queue storing events for the current frame
- * @type {Array<{type: number, x: number, y: number, pressed: number, key: number}>}
+ * Maps KeyboardEvent.code (physical key position) to OS_Key enum values
+ * Letters and digits are named after their US QWERTY position, so KeyW is
+ * always the key above S whatever the active layout or shift state.
+ * @type {Map<string, number>}
+ */
+const osKeyByCode = buildOSKeyByCode();
+
+/**
+ * @returns {Map<string, number>} Lookup table for mapKeyToOSKey
+ */
+function buildOSKeyByCode() {
+    const map = new Map();
+
+    for (let c = 'A'.charCodeAt(0); c <= 'Z'.charCodeAt(0); c++) {
+        const letter = String.fromCharCode(c);
+        map.set(`Key${letter}`, OS_Key[`KEY_${letter}`]);
+    }
+    for (let d = 0; d <= 9; d++) {
+        map.set(`Digit${d}`, OS_Key[`KEY_${d}`]);
+        map.set(`Numpad${d}`, OS_Key[`NUMPAD_${d}`]);
+    }
+    for (let f = 1; f <= 24; f++) {
+        map.set(`F${f}`, OS_Key[`F${f}`]);
+    }
+
+    const named = {
+        Quote: OS_Key.APOSTROPHE,
+        Comma: OS_Key.COMMA,
+        Minus: OS_Key.MINUS,
+        Period: OS_Key.PERIOD,
+        Slash: OS_Key.SLASH,
+        Semicolon: OS_Key.SEMICOLON,
+        Equal: OS_Key.EQUAL,
+        BracketLeft: OS_Key.LBRACKET,
+        Backslash: OS_Key.BACKSLASH,
+        BracketRight: OS_Key.RBRACKET,
+        Backquote: OS_Key.GRAVE,
+        IntlBackslash: OS_Key.INTL_BACKSLASH,
+
+        ControlLeft: OS_Key.LCONTROL,
+        ControlRight: OS_Key.RCONTROL,
+        ShiftLeft: OS_Key.LSHIFT,
+        ShiftRight: OS_Key.RSHIFT,
+        AltLeft: OS_Key.LALT,
+        AltRight: OS_Key.RALT,
+        MetaLeft: OS_Key.META,
+        MetaRight: OS_Key.RMETA,
+        // Older Firefox names for the Meta keys
+        OSLeft: OS_Key.META,
+        OSRight: OS_Key.RMETA,
+
+        Tab: OS_Key.TAB,
+        CapsLock: OS_Key.CAPS,
+        Backspace: OS_Key.BACKSPACE,
+        Delete: OS_Key.DELETE,
+        Enter: OS_Key.RETURN,
+        Escape: OS_Key.ESCAPE,
+        Space: OS_Key.SPACE,
+
+        ArrowUp: OS_Key.UP,
+        ArrowRight: OS_Key.RIGHT,
+        ArrowDown: OS_Key.DOWN,
+        ArrowLeft: OS_Key.LEFT,
+        Home: OS_Key.HOME,
+        End: OS_Key.END,
+        PageUp: OS_Key.PAGE_UP,
+        PageDown: OS_Key.PAGE_DOWN,
+        Insert: OS_Key.INSERT,
+        PrintScreen: OS_Key.PRINT_SCREEN,
+        ScrollLock: OS_Key.SCROLL_LOCK,
+        Pause: OS_Key.PAUSE,
+        ContextMenu: OS_Key.CONTEXT_MENU,
+
+        NumLock: OS_Key.NUM_LOCK,
+        NumpadDecimal: OS_Key.NUMPAD_DECIMAL,
+        NumpadAdd: OS_Key.NUMPAD_ADD,
+        NumpadSubtract: OS_Key.NUMPAD_SUBTRACT,
+        NumpadMultiply: OS_Key.NUMPAD_MULTIPLY,
+        NumpadDivide: OS_Key.NUMPAD_DIVIDE,
+        NumpadEnter: OS_Key.RETURN,
+        NumpadEqual: OS_Key.NUMPAD_EQUAL,
+    };
+    for (const code in named) {
+        map.set(code, named[code]);
+    }
+
+    return map;
+}
+
+/**
+ * Event queue storing events not yet delivered to WASM
+ * Events that do not fit in one frame's event buffer stay queued for the next frame.
+ * @type {Array<{type: number, x: number, y: number, pressed: number, key: number, modifiers: number, flags: number, time: number, fx: number, fy: number, payloadId?: number}>}
  */
 let eventQueue = [];
 
+/**
+ * Highest OS_Window_Event layout this file can write
+ * 1: type, x, y, pressed, key (20 bytes)
+ * 2: version 1 plus modifiers, flags, version and timestamp (40 bytes)
+ * 3: version 2 plus float x/y values (48 bytes)
+ */
+const maxEventAbiVersion = 3;
+
+/**
+ * Event layout in use, negotiated with WASM after instantiation
+ * @type {number}
+ */
+let eventAbiVersion = 1;
+
+/**
+ * Modifier state from the most recent input event, used for events that have
+ * no DOM event of their own (gamepad, synthesized releases)
+ * @type {number}
+ */
+let currentModifiers = 0;
+
+/**
+ * Keys and mouse buttons currently held, as OS_Key values
+ * Used to synthesize releases when the page loses focus and the real
+ * keyup/pointerup events go to another window.
+ * @type {Set<number>}
+ */
+let heldKeys = new Set();
+let heldMouseButtons = new Set();
+
+/**
+ * Default event buffer capacity (MAX_EVENTS_PER_FRAME in os.h), used when WASM
+ * does not export wasm_get_event_capacity
+ */
+const defaultEventCapacity = 128;
+
+/**
+ * Upper bound on queued events, reached only when WASM stops consuming events
+ * (e.g. while frames are not running). Further events are dropped and counted.
+ */
+const maxQueuedEvents = 8192;
+
+/**
+ * Number of events dropped because the queue was full, readable from WASM
+ * @type {number}
+ */
+let droppedEventCount = 0;
+
+/**
+ * Variable-length data attached to queued events (file paths, text)
+ * Maps payload id to bytes; the id is carried in the event's key field and the
+ * byte length in its pressed field. Payloads live until the frame that
+ * delivered their event has finished.
+ * @type {Map<number, Uint8Array>}
+ */
+let eventPayloads = new Map();
+let nextEventPayloadId = 1;
+
 /**
  * Current mouse position
  * @type {{x: number, y: number}}
@@ -194,13 +874,27 @@ let eventQueue = [];
 let mousePos = { x: 0, y: 0 };
 
 /**
- * Maps JavaScript key codes to OS_Key enum values
+ * Maps a keyboard event to an OS_Key enum value by physical key position
  * @param {KeyboardEvent} event - The keyboard event
  * @returns {number} OS_Key enum value
  */
 function mapKeyToOSKey(event) {
+    const osKey = osKeyByCode.get(event.code);
+    if (osKey !== undefined) {
+        return osKey;
+    }
+    
+    // Some virtual keyboards leave event.code empty
+    return mapKeyNameToOSKey(event);
+}
+
+/**
+ * Maps KeyboardEvent.key to OS_Key enum values, for events without a usable code
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {number} OS_Key enum value
+ */
+function mapKeyNameToOSKey(event) {
     const key = event.key;
-    const code = event.code;
     
     // Numbers
     if (key >= '0' && key <= '9') {
@@ -224,7 +918,7 @@ function mapKeyToOSKey(event) {
         case 'Alt':
             return event.location === 1 ? OS_Key.LALT : OS_Key.RALT;
         case 'Meta':
-            return OS_Key.META;
+            return event.location === 2 ? OS_Key.RMETA : OS_Key.META;
         case 'Tab':
             return OS_Key.TAB;
         case 'CapsLock':
@@ -269,7 +963,54 @@ function mapKeyToOSKey(event) {
 }
 
 /**
- * Maps mouse button to OS_Key enum value
+ * Checks whether a keydown produces committed text
+ * Ctrl and Meta shortcuts produce no text, except AltGr which some platforms
+ * report as Ctrl+Alt.
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {boolean} True if event.key is a single character to insert
+ */
+function isTextKeyEvent(event) {
+    if (event.metaKey || (event.ctrlKey && !event.getModifierState('AltGraph'))) {
+        return false;
+    }
+    // Named keys ("Enter", "Dead", "Unidentified") are longer than one codepoint
+    return Array.from(event.key).length === 1;
+}
+
+/**
+ * Pushes one TEXT event per Unicode codepoint in a string
+ * The codepoint is carried in the event's key field.
+ * @param {string} text - Committed text
+ * @param {Event} [source] - DOM event the text came from
+ */
+function pushTextEvents(text, source) {
+    for (const char of text) {
+        pushEvent(OS_Window_Event_Type.TEXT, 0, 0, 0, char.codePointAt(0), source);
+    }
+}
+
+/**
+ * Reads the modifier bitmask from a DOM input event
+ * @param {Event} event - Keyboard, mouse, pointer or wheel event
+ * @returns {number | null} OS_Modifier bitmask, or null if the event carries no modifier state
+ */
+function getEventModifiers(event) {
+    if (!event || typeof event.getModifierState !== 'function') {
+        return null;
+    }
+
+    let modifiers = 0;
+    if (event.shiftKey) modifiers |= OS_Modifier.SHIFT;
+    if (event.ctrlKey) modifiers |= OS_Modifier.CTRL;
+    if (event.altKey) modifiers |= OS_Modifier.ALT;
+    if (event.metaKey) modifiers |= OS_Modifier.META;
+    if (event.getModifierState('CapsLock')) modifiers |= OS_Modifier.CAPS_LOCK;
+    if (event.getModifierState('NumLock')) modifiers |= OS_Modifier.NUM_LOCK;
+    return modifiers;
+}
+
+/**
+ * Maps mouse button to OS_Key enum value
  * @param {number} button - Mouse button index (0=left, 1=middle, 2=right)
  * @returns {number} OS_Key enum value
  */
@@ -295,6 +1036,20 @@ function getMousePos(event) {
     };
 }
 
+/**
+ * Maps a mouse button index to its bit in MouseEvent.buttons
+ * @param {number} button - Mouse button index (0=left, 1=middle, 2=right)
+ * @returns {number} Bit mask
+ */
+function mouseButtonToButtonsMask(button) {
+    switch (button) {
+        case 0: return 1;
+        case 1: return 4;
+        case 2: return 2;
+        default: return 1 << button;
+    }
+}
+
 /**
  * Pushes an event to the event queue
  * @param {number} type - Event type from OS_Window_Event_Type
@@ -302,18 +1057,225 @@ function getMousePos(event) {
  * @param {number} y - Y coordinate
  * @param {number} pressed - 1 for pressed/down, 0 for released/up
  * @param {number} key - Key code from OS_Key enum
+ * @param {Event} [source] - DOM event this came from, for its timestamp, modifiers and repeat flag
+ * @returns {Object | null} The queued (or coalesced) event, null if it was dropped
+ */
+function pushEvent(type, x, y, pressed, key, source) {
+    // Replays are driven by the log alone
+    if (inputMode === InputMode.REPLAY) {
+        return null;
+    }
+
+    const time = source ? source.timeStamp : performance.now();
+    const sourceModifiers = getEventModifiers(source);
+    if (sourceModifiers !== null) {
+        currentModifiers = sourceModifiers;
+    }
+    const modifiers = currentModifiers;
+    const flags = source && source.repeat ? OS_Event_Flag.REPEAT : 0;
+
+    if (type === OS_Window_Event_Type.KEYBOARD) {
+        if (pressed) heldKeys.add(key); else heldKeys.delete(key);
+    } else if (type === OS_Window_Event_Type.MOUSE_BUTTON) {
+        if (pressed) heldMouseButtons.add(key); else heldMouseButtons.delete(key);
+    }
+
+    // Consecutive moves only matter for their final position
+    const last = eventQueue[eventQueue.length - 1];
+    // Relative motion and precise scrolling accumulate instead
+    let accumulated = last && last.type === type && type === OS_Window_Event_Type.MOUSE_DELTA ? last : null;
+    if (type === OS_Window_Event_Type.MOUSE_SCROLL_PRECISE) {
+        // Each wheel event also queues a notch; look past those so the pair coalesces
+        for (let i = eventQueue.length - 1; i >= 0; i--) {
+            const queued = eventQueue[i];
+            if (queued.type === type) {
+                accumulated = queued;
+            }
+            if (queued.type !== OS_Window_Event_Type.MOUSE_SCROLL) {
+                break;
+            }
+        }
+    }
+    if (accumulated) {
+        accumulated.x += x;
+        accumulated.y += y;
+        accumulated.time = time;
+        accumulated.modifiers = modifiers;
+        return accumulated;
+    }
+
+    if (last && last.type === type &&
+        (type === OS_Window_Event_Type.MOUSE_MOVE ||
+         (type === OS_Window_Event_Type.TOUCH_MOVE && last.key === key))) {
+        last.x = x;
+        last.y = y;
+        last.time = time;
+        last.modifiers = modifiers;
+        return last;
+    }
+
+    if (eventQueue.length >= maxQueuedEvents && type !== OS_Window_Event_Type.CLOSE) {
+        droppedEventCount++;
+        return null;
+    }
+
+    const event = { type, x, y, pressed, key, modifiers, flags, time, fx: 0, fy: 0 };
+    eventQueue.push(event);
+    return event;
+}
+
+/**
+ * Pushes releases for every held key, mouse button and touch
+ * Called when the page loses focus or is hidden, since the matching up events
+ * will not be delivered to this page.
+ */
+function releaseHeldInput() {
+    for (const key of Array.from(heldKeys)) {
+        pushEvent(OS_Window_Event_Type.KEYBOARD, 0, 0, 0, key);
+    }
+    for (const button of Array.from(heldMouseButtons)) {
+        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, mousePos.x, mousePos.y, 0, button);
+    }
+    for (const touch of activeTouches.values()) {
+        pushEvent(OS_Window_Event_Type.TOUCH_END, touch.x, touch.y, 0, touch.finger);
+    }
+    activeTouches.clear();
+    mouseEmulationPointerId = null;
+    touchGesture = null;
+    currentModifiers = 0;
+}
+
+/**
+ * Pixels per line for wheel events reported in DOM_DELTA_LINE mode
+ */
+const scrollLineHeight = 16;
+
+/**
+ * Sub-pixel remainder of precise scroll deltas not yet sent in the integer x/y fields
+ * @type {{x: number, y: number}}
+ */
+let preciseScrollRemainder = { x: 0, y: 0 };
+
+/**
+ * Converts wheel deltas to pixels according to deltaMode
+ * Positive values scroll up/left, matching the MOUSE_SCROLL notch direction.
+ * @param {WheelEvent} event - The wheel event
+ * @returns {{x: number, y: number}} Scroll delta in pixels
+ */
+function getWheelPixelDelta(event) {
+    let scaleX = 1;
+    let scaleY = 1;
+    if (event.deltaMode === WheelEvent.DOM_DELTA_LINE) {
+        scaleX = scaleY = scrollLineHeight;
+    } else if (event.deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+        scaleX = canvas.clientWidth;
+        scaleY = canvas.clientHeight;
+    }
+    return { x: -event.deltaX * scaleX, y: -event.deltaY * scaleY };
+}
+
+/**
+ * Pushes a MOUSE_SCROLL_PRECISE event with a scroll delta in pixels
+ * Event ABI version 3 receives the exact delta in fx/fy. The integer x/y fields
+ * carry whole pixels for older layouts; the fractional rest is carried over
+ * to later events so slow trackpad scrolling still adds up. Builds using an
+ * older event ABI do not know the event type and only get MOUSE_SCROLL notches.
+ * @param {number} dx - Horizontal delta in pixels, positive scrolls left
+ * @param {number} dy - Vertical delta in pixels, positive scrolls up
+ * @param {Event} [source] - DOM event this came from
+ */
+function pushPreciseScrollEvent(dx, dy, source) {
+    if (eventAbiVersion < 3) {
+        return;
+    }
+
+    const totalX = preciseScrollRemainder.x + dx;
+    const totalY = preciseScrollRemainder.y + dy;
+    const wholeX = Math.trunc(totalX);
+    const wholeY = Math.trunc(totalY);
+    preciseScrollRemainder = { x: totalX - wholeX, y: totalY - wholeY };
+
+    const event = pushEvent(OS_Window_Event_Type.MOUSE_SCROLL_PRECISE, wholeX, wholeY, 0, 0, source);
+    if (event) {
+        event.fx += dx;
+        event.fy += dy;
+    }
+}
+
+/**
+ * Pushes an event carrying a payload that WASM reads with js_get_event_payload
+ * @param {number} type - Event type from OS_Window_Event_Type
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {Uint8Array} payload - Payload bytes
+ */
+function pushPayloadEvent(type, x, y, payload) {
+    const id = nextEventPayloadId++;
+    const event = pushEvent(type, x, y, payload.length, id);
+    if (event) {
+        event.payloadId = id;
+        eventPayloads.set(id, payload);
+    }
+}
+
+/**
+ * Copies an event payload into WASM memory
+ * Only valid while processing the frame the event was delivered in.
+ * @param {number} payload_id - Payload id from the event's key field
+ * @param {number} dest_ptr - Destination pointer in WASM memory
+ * @param {number} max_size - Maximum bytes to copy
+ * @returns {number} Actual number of bytes copied, or 0 if the payload does not exist
+ */
+function js_get_event_payload(payload_id, dest_ptr, max_size) {
+    const payload = eventPayloads.get(payload_id);
+    if (!payload) {
+        return 0;
+    }
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const bytesToCopy = Math.min(payload.length, max_size);
+    new Uint8Array(buffer, dest_ptr, bytesToCopy).set(payload.subarray(0, bytesToCopy));
+    return bytesToCopy;
+}
+
+/**
+ * Returns the number of dropped events since startup
+ * Events are only dropped when the queue overflows while WASM is not running frames.
+ * @returns {number} Dropped event count
  */
-function pushEvent(type, x, y, pressed, key) {
-    eventQueue.push({ type, x, y, pressed, key });
+function js_get_dropped_event_count() {
+    return droppedEventCount;
 }
 
 /**
- * Writes events to WASM memory using the exported event buffer
+ * Writes queued events to WASM memory using the exported event buffer
+ * At most the buffer capacity is written; the rest stays queued.
+ * @returns {number} Number of events written
  */
 function writeEventsToWASM() {
     const count = eventQueue.length;
     if (count === 0) {
-        return;
+        return 0;
+    }
+    
+    const exports = wasm.instance.exports;
+    const capacity = exports.wasm_get_event_capacity ? exports.wasm_get_event_capacity() : defaultEventCapacity;
+    let maxEvents = Math.min(count, capacity);
+    
+    // Copy clipboard text first: WASM may allocate (and grow memory) for it,
+    // which would detach any view taken before. There is one clipboard buffer,
+    // so a second CLIPBOARD event waits for the next frame.
+    let clipboardWritten = false;
+    for (let i = 0; i < maxEvents; i++) {
+        if (eventQueue[i].type !== OS_Window_Event_Type.CLIPBOARD) {
+            continue;
+        }
+        if (clipboardWritten && exports.wasm_get_clipboard_buffer) {
+            maxEvents = i;
+            break;
+        }
+        writeClipboardPayloadToWASM(eventQueue[i]);
+        clipboardWritten = true;
     }
     
     // Get the event buffer pointer from WASM
@@ -325,15 +1287,25 @@ function writeEventsToWASM() {
     // - y: i32 (4 bytes)
     // - pressed: i32 (4 bytes, b32 is 4 bytes)
     // - key: i32 (4 bytes)
-    // Total: 20 bytes per event
-    const bytesPerEvent = 20;
+    // Total: 20 bytes per event (ABI version 1)
+    //
+    // ABI version 2 appends:
+    // - modifiers: u32 (4 bytes, OS_Modifier bitmask)
+    // - flags: u32 (4 bytes, OS_Event_Flag bitmask)
+    // - version: u32 (4 bytes, negotiated ABI version)
+    // - timestamp: f64 (8 bytes, milliseconds on the js_performance_now clock)
+    // Total: 40 bytes per event
+    //
+    // ABI version 3 appends:
+    // - fx: f32 (4 bytes, exact X value, e.g. precise scroll delta)
+    // - fy: f32 (4 bytes, exact Y value)
+    // Total: 48 bytes per event
+    const bytesPerEvent = eventAbiVersion >= 3 ? 48 : eventAbiVersion >= 2 ? 40 : 20;
     
     const buffer = wasm.instance.exports.memory.buffer;
     const view = new DataView(buffer);
     let offset = eventBufferPtr;
     
-    const maxEvents = Math.min(count, 128); // MAX_EVENTS_PER_FRAME
-    
     for (let i = 0; i < maxEvents; i++) {
         const event = eventQueue[i];
         view.setInt32(offset + 0, event.type, true);
@@ -341,585 +1313,3154 @@ function writeEventsToWASM() {
         view.setInt32(offset + 8, event.y, true);
         view.setInt32(offset + 12, event.pressed, true);
         view.setInt32(offset + 16, event.key, true);
+        if (eventAbiVersion >= 2) {
+            view.setUint32(offset + 20, event.modifiers, true);
+            view.setUint32(offset + 24, event.flags, true);
+            view.setUint32(offset + 28, eventAbiVersion, true);
+            view.setFloat64(offset + 32, event.time, true);
+        }
+        if (eventAbiVersion >= 3) {
+            view.setFloat32(offset + 40, event.fx, true);
+            view.setFloat32(offset + 44, event.fy, true);
+        }
         offset += bytesPerEvent;
     }
     
     // Set the event count
     wasm.instance.exports.wasm_set_event_count(maxEvents);
+    return maxEvents;
 }
 
 /**
- * Clears the event queue (called after frame processing)
+ * Picks the event layout from the version WASM reports through wasm_get_event_abi_version
+ * Builds without that export get the original 20-byte layout. Builds newer
+ * than this file get the newest layout it knows.
+ * @returns {number} Event ABI version to use
  */
-function clearEventQueue() {
-    eventQueue = [];
+function negotiateEventAbiVersion() {
+    const getVersion = wasm.instance.exports.wasm_get_event_abi_version;
+    if (!getVersion) {
+        return 1;
+    }
+
+    const requested = getVersion();
+    if (requested > maxEventAbiVersion) {
+        console.warn(`WASM requested event ABI version ${requested}, using ${maxEventAbiVersion}`);
+    }
+    return Math.max(1, Math.min(requested, maxEventAbiVersion));
+}
+
+/**
+ * Removes delivered events from the queue (called after frame processing)
+ * @param {number} count - Number of events written by writeEventsToWASM
+ */
+function removeDeliveredEvents(count) {
+    const delivered = eventQueue.splice(0, count);
+    for (const event of delivered) {
+        if (event.payloadId !== undefined) {
+            eventPayloads.delete(event.payloadId);
+        }
+    }
 }
 
 // ============================================================================
-// Utility Functions
+// Touch Input
 // ============================================================================
 
 /**
- * Calculates the length of a null-terminated C string.
- * @param {Uint8Array} mem - Memory view to read from
- * @param {number} ptr - Pointer to the start of the string
- * @returns {number} Length of the string (excluding null terminator)
+ * Active touch points by pointer id
+ * The finger index is the smallest index not used by another active touch and
+ * is carried in the key field of TOUCH_* events.
+ * @type {Map<number, {finger: number, x: number, y: number}>}
  */
-function cstrlen(mem, ptr) {
-    let len = 0;
-    while (mem[ptr] != 0) {
-        len++;
-        ptr++;
-    }
-    return len;
-}
+let activeTouches = new Map();
 
 /**
- * Converts a C string pointer to a JavaScript string.
- * @param {ArrayBuffer} mem_buffer - WebAssembly memory buffer
- * @param {number} ptr - Pointer to the string
- * @param {number} count - Number of bytes to read
- * @returns {string} Decoded string
+ * Pointer id of the touch emulating MOUSE_L, or null
+ * @type {number | null}
  */
-function cstr_by_ptr(mem_buffer, ptr, count) {
-    const bytes = new Uint8Array(mem_buffer, ptr, count);
-    return new TextDecoder().decode(bytes);
-}
+let mouseEmulationPointerId = null;
 
 /**
- * Creates a Float32Array view from WebAssembly memory.
- * @param {number} ptr - Pointer to the data
- * @param {number} count - Number of floats to read
- * @returns {Float32Array} Float32 array view of the memory
+ * pointerType of the last pointerdown, used to close the on-screen keyboard
+ * only for touch input
+ * @type {string}
  */
-function float32_array_by_ptr(ptr, count) {
-    const buffer = wasm.instance.exports.memory.buffer;
-    const bytes = new Float32Array(buffer, ptr, count);
-    return bytes;
-}
+let lastPointerType = '';
 
 /**
- * Converts byte size to WebAssembly page count.
- * @param {number} size - Size in bytes
- * @returns {number} Number of WASM pages needed
+ * Two-finger gesture state, null unless exactly two touches are down
+ * `mode` is decided by whichever of pinch or pan passes its threshold first.
+ * distance/centerX/centerY are where the last notch was sent, lastCenterX/Y
+ * where the previous move was.
+ * @type {{mode: string | null, distance: number, centerX: number, centerY: number, lastCenterX: number, lastCenterY: number} | null}
  */
-function byte_to_wasm_pages(size) {
-    const bytesPerPage = 65536; // 64KB per page
-    return Math.ceil(size / bytesPerPage);
-}
+let touchGesture = null;
 
-// ============================================================================
-// OS Interface Functions (called from WASM)
-// ============================================================================
+/** Finger movement in pixels per emitted MOUSE_SCROLL notch for two-finger pan */
+const touchScrollStep = 40;
+
+/** Change in finger distance (as a ratio) per emitted MOUSE_SCROLL notch for pinch */
+const touchPinchStep = 0.1;
 
 /**
- * @param {number} message_ptr - Pointer to the message string
- * @param {number} count - Length of the message
+ * @returns {{distance: number, centerX: number, centerY: number}} Geometry of the first two touches
  */
-function js_print(message_ptr, count) {
-    const buffer = wasm.instance.exports.memory.buffer;
-    const message = cstr_by_ptr(buffer, message_ptr, count);
-    console.log(message);
+function getTouchPairGeometry() {
+    const [a, b] = activeTouches.values();
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        centerX: (a.x + b.x) / 2,
+        centerY: (a.y + b.y) / 2,
+    };
 }
 
 /**
- * @param {number} title_ptr - Pointer to the title string
- * @param {number} count - Length of the title
+ * @returns {Object} Gesture state starting at the current touch positions
  */
-function js_set_title(title_ptr, count) {
-    const buffer = wasm.instance.exports.memory.buffer;
-    const message = cstr_by_ptr(buffer, title_ptr, count);
-    document.title = message;
+function createTouchGesture() {
+    const geometry = getTouchPairGeometry();
+    return { mode: null, ...geometry, lastCenterX: geometry.centerX, lastCenterY: geometry.centerY };
 }
 
 /**
- * @param {number} width - Canvas width in pixels
- * @param {number} height - Canvas height in pixels
+ * Translates two-finger movement into MOUSE_SCROLL events
+ * Pinching out scrolls up (zoom in), panning follows the fingers like a touchpad
+ * and also produces MOUSE_SCROLL_PRECISE events with the exact movement.
+ * Pinch scrolls carry the CTRL modifier, matching how browsers report trackpad pinch.
+ * @param {PointerEvent} source - pointermove event that moved a finger
  */
-function js_create_canvas(width, height) {
-    canvas.width = width;
-    canvas.height = height;
-    gl = canvas.getContext("webgl2");
+function updateTouchGesture(source) {
+    const current = getTouchPairGeometry();
+    const gesture = touchGesture;
 
-    gl.clearColor(0, 0, 0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.viewport(0, 0, canvas.width, canvas.height);
-}
+    const pinchRatio = gesture.distance > 0 ? current.distance / gesture.distance : 1;
+    const panX = current.centerX - gesture.centerX;
+    const panY = current.centerY - gesture.centerY;
+    let moveX = current.centerX - gesture.lastCenterX;
+    let moveY = current.centerY - gesture.lastCenterY;
+    gesture.lastCenterX = current.centerX;
+    gesture.lastCenterY = current.centerY;
 
-/**
- * @param {number} new_byte_length - Number of bytes to grow
- */
-function js_memory_grow(new_byte_length) {
-    const mem = wasm.instance.exports.memory;
-    console.log(new_byte_length);
-    console.log(mem);
-    mem.grow(byte_to_wasm_pages(new_byte_length));
+    if (!gesture.mode) {
+        if (Math.abs(pinchRatio - 1) >= touchPinchStep) {
+            gesture.mode = 'pinch';
+        } else if (Math.hypot(panX, panY) >= touchScrollStep) {
+            gesture.mode = 'pan';
+            // Include the movement made before the gesture was recognized
+            moveX = panX;
+            moveY = panY;
+        } else {
+            return;
+        }
+    }
+
+    if (gesture.mode === 'pinch') {
+        if (Math.abs(pinchRatio - 1) >= touchPinchStep) {
+            const event = pushEvent(OS_Window_Event_Type.MOUSE_SCROLL, 0, Math.sign(pinchRatio - 1), 0, 0, source);
+            if (event) event.modifiers |= OS_Modifier.CTRL;
+            gesture.distance = current.distance;
+        }
+    } else {
+        pushPreciseScrollEvent(moveX, moveY, source);
+
+        const notchX = Math.abs(panX) >= touchScrollStep ? Math.sign(panX) : 0;
+        const notchY = Math.abs(panY) >= touchScrollStep ? Math.sign(panY) : 0;
+        if (notchX !== 0 || notchY !== 0) {
+            pushEvent(OS_Window_Event_Type.MOUSE_SCROLL, notchX, notchY, 0, 0, source);
+            if (notchX !== 0) gesture.centerX = current.centerX;
+            if (notchY !== 0) gesture.centerY = current.centerY;
+        }
+    }
 }
 
 /**
- * Returns the current time in milliseconds with high precision.
- * @returns {number} Time in milliseconds since page load
+ * @param {PointerEvent} event - pointerdown event with pointerType 'touch'
  */
-function js_performance_now() {
-    return performance.now();
-}
-
-// ============================================================================
-// WebGL Context and Shader Setup
-// ============================================================================
-
-/** @type {WebGL2RenderingContext | null} */
-let gl;
+function handleTouchStart(event) {
+    const pos = getMousePos(event);
 
-const vsSource = `
-attribute vec2 vert_pos;
-attribute vec4 color;
-attribute vec2 uv;
+    const usedFingers = new Set(Array.from(activeTouches.values(), (touch) => touch.finger));
+    let finger = 0;
+    while (usedFingers.has(finger)) finger++;
 
-uniform mat4 proj;
-uniform mat4 model;
+    activeTouches.set(event.pointerId, { finger, x: pos.x, y: pos.y });
+    pushEvent(OS_Window_Event_Type.TOUCH_BEGIN, pos.x, pos.y, 1, finger, event);
 
-varying vec4 v_color;
-varying vec2 v_uv;
+    if (event.isPrimary && activeTouches.size === 1) {
+        mouseEmulationPointerId = event.pointerId;
+        mousePos = pos;
+        pushEvent(OS_Window_Event_Type.MOUSE_MOVE, pos.x, pos.y, 0, 0, event);
+        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 1, OS_Key.MOUSE_L, event);
+    }
 
-void main() {
-    gl_Position = proj * model * vec4(vert_pos, 0.0, 1.0);
-    v_color = color;
-    v_uv = uv;
+    if (activeTouches.size === 2) {
+        // A second finger turns the touch into a gesture, not a drag
+        if (mouseEmulationPointerId !== null) {
+            const primary = activeTouches.get(mouseEmulationPointerId);
+            pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, primary.x, primary.y, 0, OS_Key.MOUSE_L, event);
+            mouseEmulationPointerId = null;
+        }
+        touchGesture = createTouchGesture();
+    } else {
+        touchGesture = null;
+    }
 }
-`;
 
-const fsSource = `
-precision mediump float;
+/**
+ * @param {PointerEvent} event - pointermove event with pointerType 'touch'
+ */
+function handleTouchMove(event) {
+    const touch = activeTouches.get(event.pointerId);
+    if (!touch) return;
 
-varying vec4 v_color;
-varying vec2 v_uv;
+    const pos = getMousePos(event);
+    touch.x = pos.x;
+    touch.y = pos.y;
+    pushEvent(OS_Window_Event_Type.TOUCH_MOVE, pos.x, pos.y, 1, touch.finger, event);
 
-uniform sampler2D u_texture;
-uniform bool u_use_texture;
-uniform bool is_text;
+    if (event.pointerId === mouseEmulationPointerId) {
+        mousePos = pos;
+        pushEvent(OS_Window_Event_Type.MOUSE_MOVE, pos.x, pos.y, 0, 0, event);
+    }
 
-void main() {
-    if (is_text) {
-        vec4 tex_color = texture2D(u_texture, v_uv);
-        gl_FragColor = vec4(v_color.r, v_color.g, v_color.b, tex_color.a);
-    } else if (u_use_texture) {
-        gl_FragColor = texture2D(u_texture, v_uv) * v_color;
-    } else {
-        gl_FragColor = v_color;
+    if (touchGesture) {
+        updateTouchGesture(event);
     }
 }
-`;
 
 /**
- * @param {number} type - Shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
- * @param {string} source - Shader source code
- * @returns {WebGLShader | null} Compiled shader or null on error
+ * @param {PointerEvent} event - pointerup or pointercancel event with pointerType 'touch'
  */
-function loadShader(type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
+function handleTouchEnd(event) {
+    const touch = activeTouches.get(event.pointerId);
+    if (!touch) return;
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        alert(
-            `An error occurred compiling the shaders: ${gl.getShaderInfoLog(shader)}`,
-        );
-        gl.deleteShader(shader);
-        return null;
+    const pos = getMousePos(event);
+    activeTouches.delete(event.pointerId);
+    pushEvent(OS_Window_Event_Type.TOUCH_END, pos.x, pos.y, 0, touch.finger, event);
+
+    if (event.pointerId === mouseEmulationPointerId) {
+        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 0, OS_Key.MOUSE_L, event);
+        mouseEmulationPointerId = null;
     }
 
-    return shader;
+    touchGesture = activeTouches.size === 2 ? createTouchGesture() : null;
 }
 
 /**
- * @param {string} vert - Vertex shader source
- * @param {string} frag - Fragment shader source
- * @returns {WebGLProgram | null} Linked shader program or null on error
+ * Set from WASM with js_set_text_input_active while a text field has focus
+ * Only then do touches focus the hidden text input, which opens the on-screen
+ * keyboard; otherwise it would cover the game on every tap.
+ * @type {boolean}
  */
-function initShaderProgram(vert, frag) {
-    const vertexShader = loadShader(gl.VERTEX_SHADER, vert);
-    const fragmentShader = loadShader(gl.FRAGMENT_SHADER, frag);
+let textInputWanted = false;
 
-    const shaderProgram = gl.createProgram();
-    gl.attachShader(shaderProgram, vertexShader);
-    gl.attachShader(shaderProgram, fragmentShader);
-    gl.linkProgram(shaderProgram);
+/**
+ * @param {number} active - Non-zero while WASM wants text input, e.g. a text field has focus
+ */
+function js_set_text_input_active(active) {
+    const wanted = active !== 0;
+    if (wanted === textInputWanted) return;
+    textInputWanted = wanted;
 
-    if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-        alert(
-            `Unable to initialize the shader program: ${gl.getProgramInfoLog(shaderProgram)}`,
-        );
-        return null;
+    const textInput = document.getElementById('text-input');
+    if (wanted) {
+        // Works while the tap that focused the field still counts as a user
+        // gesture; otherwise the keyboard opens on the next tap
+        textInput.focus();
+    } else if (lastPointerType === 'touch') {
+        // Desktop keeps the focus, its keyboard events arrive through the input
+        textInput.blur();
     }
-
-    return shaderProgram;
 }
 
 // ============================================================================
-// WebGL Rendering State
+// Pointer Lock
 // ============================================================================
 
 /**
- * Shader program info containing program reference and attribute/uniform locations.
- * @typedef {Object} ProgramInfo
- * @property {WebGLProgram} program - The compiled shader program
- * @property {Object} attribLocations - Attribute location mappings
- * @property {number} attribLocations.vertexPosition - Vertex position attribute location
- * @property {number} attribLocations.color - Color attribute location
- * @property {number} attribLocations.uv - UV coordinate attribute location
- * @property {Object} uniformLocations - Uniform location mappings
- * @property {WebGLUniformLocation} uniformLocations.projectionMatrix - Projection matrix uniform
- * @property {WebGLUniformLocation} uniformLocations.modelViewMatrix - Model-view matrix uniform
- * @property {WebGLUniformLocation} uniformLocations.texture - Texture sampler uniform
- * @property {WebGLUniformLocation} uniformLocations.useTexture - Boolean flag for texture usage
+ * True while WASM wants the pointer locked
+ * Lets the lock be restored when a fullscreen change drops it, while a lock
+ * released by the user (Escape) stays released.
+ * @type {boolean}
  */
+let pointerLockWanted = false;
 
-/** @type {ProgramInfo | null} */
-let programInfo;
+/**
+ * True between a fullscreen request and the resulting fullscreenchange
+ * @type {boolean}
+ */
+let fullscreenChanging = false;
 
-let matProj = new Float32Array([
-    1, 0, 0, 0,
-    0, 1, 0, 0,
-    0, 0, 1, 0,
-    0, 0, 0, 1,
-]);
+/**
+ * Set when a fullscreen change dropped a wanted lock
+ * Lock requests need a user gesture, so the lock is restored on the next click.
+ * @type {boolean}
+ */
+let relockOnNextClick = false;
 
-let matModel = new Float32Array([
-    1, 0, 0, 0,
-    0, 1, 0, 0,
-    0, 0, 1, 0,
-    0, 0, 0, 1,
-]);
+/**
+ * Fractional locked-pointer motion not yet delivered
+ * movementX/Y are fractional on high-DPI mice while MOUSE_DELTA carries whole
+ * pixels, so the rest is carried over to later events instead of being lost.
+ * @type {{x: number, y: number}}
+ */
+let mouseDeltaRemainder = { x: 0, y: 0 };
+
+/**
+ * @returns {boolean} True if the canvas holds the pointer lock
+ */
+function isPointerLocked() {
+    return document.pointerLockElement === canvas;
+}
+
+/**
+ * Requests pointer lock on the canvas, logging failures
+ * Newer browsers return a promise, older ones report errors through pointerlockerror.
+ */
+function requestCanvasPointerLock() {
+    const result = canvas.requestPointerLock();
+    if (result && result.catch) {
+        result.catch((error) => console.warn('Pointer lock request failed:', error));
+    }
+}
+
+/**
+ * Pushes a MOUSE_DELTA event for locked-pointer motion
+ * @param {number} dx - movementX
+ * @param {number} dy - movementY
+ * @param {Event} [source] - DOM event this came from
+ */
+function pushMouseDeltaEvent(dx, dy, source) {
+    const totalX = mouseDeltaRemainder.x + dx;
+    const totalY = mouseDeltaRemainder.y + dy;
+    const wholeX = Math.trunc(totalX);
+    const wholeY = Math.trunc(totalY);
+    mouseDeltaRemainder = { x: totalX - wholeX, y: totalY - wholeY };
+
+    if (wholeX !== 0 || wholeY !== 0) {
+        pushEvent(OS_Window_Event_Type.MOUSE_DELTA, wholeX, wholeY, 0, 0, source);
+    }
+}
+
+/**
+ * Locks the pointer to the canvas
+ * While locked, mouse motion arrives as MOUSE_DELTA events (x/y = movementX/Y)
+ * instead of MOUSE_MOVE. A POINTER_LOCK event (pressed = 1 locked, 0 released)
+ * reports every change, including the user pressing Escape. Browsers require a
+ * recent user gesture, so call it while handling a click or key press.
+ */
+function js_request_pointer_lock() {
+    pointerLockWanted = true;
+    if (!isPointerLocked()) {
+        requestCanvasPointerLock();
+    }
+}
+
+/**
+ * Releases the pointer lock
+ */
+function js_exit_pointer_lock() {
+    pointerLockWanted = false;
+    relockOnNextClick = false;
+    if (isPointerLocked()) {
+        document.exitPointerLock();
+    }
+}
+
+/**
+ * @returns {number} 1 if the pointer is locked to the canvas, 0 otherwise
+ */
+function js_is_pointer_locked() {
+    return isPointerLocked() ? 1 : 0;
+}
 
 // ============================================================================
-// Texture Management
+// Mouse Cursor
 // ============================================================================
 
-let textureMap = new Map();
-let nextTextureHandle = 1;
-let currentTexture = null;
-let currentTexturePixelFormat = 0;
+/**
+ * Cursor shapes selectable from WASM
+ * @readonly
+ * @enum {number}
+ */
+const OS_Cursor = {
+    ARROW: 0,
+    TEXT: 1,
+    HAND: 2,
+    RESIZE_EW: 3,
+    RESIZE_NS: 4,
+    RESIZE_NWSE: 5,
+    RESIZE_NESW: 6,
+    RESIZE_ALL: 7,
+    CROSSHAIR: 8,
+    HIDDEN: 9,
+    WAIT: 10,
+    NOT_ALLOWED: 11,
+};
+
+/**
+ * CSS cursor value for each OS_Cursor
+ * @type {Object<number, string>}
+ */
+const cssCursorByKind = {
+    [OS_Cursor.ARROW]: 'default',
+    [OS_Cursor.TEXT]: 'text',
+    [OS_Cursor.HAND]: 'pointer',
+    [OS_Cursor.RESIZE_EW]: 'ew-resize',
+    [OS_Cursor.RESIZE_NS]: 'ns-resize',
+    [OS_Cursor.RESIZE_NWSE]: 'nwse-resize',
+    [OS_Cursor.RESIZE_NESW]: 'nesw-resize',
+    [OS_Cursor.RESIZE_ALL]: 'move',
+    [OS_Cursor.CROSSHAIR]: 'crosshair',
+    [OS_Cursor.HIDDEN]: 'none',
+    [OS_Cursor.WAIT]: 'wait',
+    [OS_Cursor.NOT_ALLOWED]: 'not-allowed',
+};
+
+/** Largest custom cursor most browsers accept, in pixels */
+const maxCursorImageSize = 128;
+
+/**
+ * Last custom cursor image, so identical per-frame calls skip re-encoding
+ * @type {{pixels: Uint8Array, width: number, height: number, hotX: number, hotY: number, css: string} | null}
+ */
+let customCursor = null;
+
+/**
+ * Last value written to canvas.style.cursor
+ * Browsers normalize url() cursors when reading the style back, so it is
+ * compared against this instead.
+ * @type {string}
+ */
+let currentCursorCss = '';
+
+/**
+ * Sets canvas.style.cursor, skipping redundant style writes
+ * @param {string} css - CSS cursor value
+ */
+function setCanvasCursor(css) {
+    if (currentCursorCss !== css) {
+        canvas.style.cursor = css;
+        currentCursorCss = css;
+    }
+}
+
+/**
+ * Selects a standard cursor shape for the canvas
+ * Meant to be called every frame from hover handling; unchanged values are cheap.
+ * @param {number} kind - OS_Cursor value
+ */
+function js_set_cursor(kind) {
+    const css = cssCursorByKind[kind];
+    if (css === undefined) {
+        console.warn(`js_set_cursor: unknown cursor kind ${kind}`);
+        return;
+    }
+    setCanvasCursor(css);
+}
+
+/**
+ * Sets a custom cursor image from RGBA pixels in WASM memory
+ * Images larger than 128x128 are rejected by most browsers; 32x32 is the safe size.
+ * @param {number} data_ptr - Pointer to width * height RGBA8 pixels
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} hot_x - Hotspot X offset from the left edge
+ * @param {number} hot_y - Hotspot Y offset from the top edge
+ * @returns {number} 1 if the cursor was set, 0 if the image is too large
+ */
+function js_set_cursor_image(data_ptr, width, height, hot_x, hot_y) {
+    if (width <= 0 || height <= 0 || width > maxCursorImageSize || height > maxCursorImageSize) {
+        console.warn(`js_set_cursor_image: ${width}x${height} cursor exceeds ${maxCursorImageSize}x${maxCursorImageSize}`);
+        return 0;
+    }
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const pixels = new Uint8Array(buffer, data_ptr, width * height * 4);
+
+    const cached = customCursor;
+    if (cached && cached.width === width && cached.height === height &&
+        cached.hotX === hot_x && cached.hotY === hot_y &&
+        cached.pixels.every((value, i) => value === pixels[i])) {
+        setCanvasCursor(cached.css);
+        return 1;
+    }
+
+    const cursorCanvas = document.createElement('canvas');
+    cursorCanvas.width = width;
+    cursorCanvas.height = height;
+    const ctx = cursorCanvas.getContext('2d');
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+
+    const css = `url(${cursorCanvas.toDataURL('image/png')}) ${hot_x} ${hot_y}, auto`;
+    customCursor = { pixels: pixels.slice(), width, height, hotX: hot_x, hotY: hot_y, css };
+    setCanvasCursor(css);
+    return 1;
+}
+
+// ============================================================================
+// Gamepad Input
+// ============================================================================
 
 /**
+ * Gamepad axis indices in the standard mapping
  * @readonly
  * @enum {number}
  */
-const PixelFormat = {
-    RGBA: 0,
-    RGB: 1,
-    R: 2,
-    ALPHA: 3
+const OS_Gamepad_Axis = {
+    LEFT_X: 0,
+    LEFT_Y: 1,
+    RIGHT_X: 2,
+    RIGHT_Y: 3,
 };
 
 /**
- * @param {number} data_ptr - Pointer to pixel data in WASM memory (0 for empty texture)
- * @param {number} width - Texture width in pixels
- * @param {number} height - Texture height in pixels
- * @param {number} pixel_format - Pixel format (0=RGBA, 1=RGB, 2=R, 3=ALPHA)
- * @param {number} filter - Filter mode (0=nearest, 1=linear)
- * @returns {number} Texture handle for future operations
+ * Scale applied to analog values ([-1, 1] for axes, [0, 1] for buttons) to
+ * carry them in the integer key field of GAMEPAD_* events
  */
-function webgl_create_texture(data_ptr, width, height, pixel_format, filter) {
-    const texture = gl.createTexture();
-    const handle = nextTextureHandle++;
-    textureMap.set(handle, texture);
+const gamepadValueScale = 32767;
 
-    gl.bindTexture(gl.TEXTURE_2D, texture);
+/** Minimum change in an analog value before a new event is sent */
+const gamepadValueEpsilon = 0.002;
+
+/**
+ * Stick deadzone; set from WASM with js_gamepad_set_deadzone
+ * @type {number}
+ */
+let gamepadDeadzone = 0.15;
 
-    // Set texture wrapping to clamp to edge to prevent bleeding
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+/**
+ * Last reported state of each connected gamepad, by Gamepad.index
+ * @type {Map<number, {buttons: Array<{pressed: boolean, value: number}>, axes: number[]}>}
+ */
+let gamepadStates = new Map();
 
-    if (filter) {
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    } else {
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+/**
+ * Removes the deadzone from an analog value and rescales the rest to the full range
+ * @param {number} magnitude - Absolute value, 0 to 1
+ * @returns {number} Rescaled magnitude, 0 inside the deadzone
+ */
+function applyDeadzone(magnitude) {
+    if (magnitude <= gamepadDeadzone) return 0;
+    return Math.min((magnitude - gamepadDeadzone) / (1 - gamepadDeadzone), 1);
+}
+
+/**
+ * Applies the deadzone to all axes of a gamepad
+ * Stick pairs of the standard mapping use a radial deadzone so diagonals are
+ * not snapped to the axes; other axes use a per-axis deadzone.
+ * @param {Gamepad} pad
+ * @returns {number[]} Filtered axis values
+ */
+function filterGamepadAxes(pad) {
+    const axes = Array.from(pad.axes);
+    let first = 0;
+
+    if (pad.mapping === 'standard') {
+        for (const [ax, ay] of [[OS_Gamepad_Axis.LEFT_X, OS_Gamepad_Axis.LEFT_Y], [OS_Gamepad_Axis.RIGHT_X, OS_Gamepad_Axis.RIGHT_Y]]) {
+            const magnitude = Math.hypot(axes[ax], axes[ay]);
+            const scale = magnitude > 0 ? applyDeadzone(magnitude) / magnitude : 0;
+            axes[ax] *= scale;
+            axes[ay] *= scale;
+        }
+        first = 4;
+    }
+
+    for (let i = first; i < axes.length; i++) {
+        axes[i] = Math.sign(axes[i]) * applyDeadzone(Math.abs(axes[i]));
     }
+    return axes;
+}
 
-    // Determine format and internal format based on pixel_format
-    let glFormat, glInternalFormat, bytesPerPixel;
+/**
+ * Polls navigator.getGamepads() and queues events for every change since the last poll
+ * GAMEPAD_CONNECT/DISCONNECT: x = gamepad index, pressed = 1 if it uses the standard mapping
+ * GAMEPAD_BUTTON: x = gamepad index, y = button, pressed, key = value * gamepadValueScale
+ *   (button indices follow the standard mapping, https://w3c.github.io/gamepad/#remapping)
+ * GAMEPAD_AXIS: x = gamepad index, y = axis, key = value * gamepadValueScale
+ */
+function pollGamepads() {
+    if (!navigator.getGamepads) return;
 
-    switch (pixel_format) {
-        case PixelFormat.RGBA:
-            glFormat = gl.RGBA;
-            glInternalFormat = gl.RGBA;
-            bytesPerPixel = 4;
-            break;
-        case PixelFormat.RGB:
-            glFormat = gl.RGB;
-            glInternalFormat = gl.RGBA;
-            bytesPerPixel = 3;
-            break;
-        case PixelFormat.R:
-            glFormat = gl.RED;
-            glInternalFormat = gl.RGBA;
-            bytesPerPixel = 1;
-            break;
-        case PixelFormat.ALPHA:
-            glFormat = gl.ALPHA;
-            glInternalFormat = gl.ALPHA;
-            bytesPerPixel = 1;
-            break;
+    const pads = navigator.getGamepads();
+    const seen = new Set();
+
+    for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+        seen.add(pad.index);
+
+        const standard = pad.mapping === 'standard' ? 1 : 0;
+        let state = gamepadStates.get(pad.index);
+        if (!state) {
+            state = { buttons: [], axes: [] };
+            gamepadStates.set(pad.index, state);
+            console.log(`Gamepad connected: ${pad.index} (${pad.id})`);
+            pushEvent(OS_Window_Event_Type.GAMEPAD_CONNECT, pad.index, 0, standard, 0);
+        }
+
+        pad.buttons.forEach((button, i) => {
+            const last = state.buttons[i] || { pressed: false, value: 0 };
+            if (button.pressed !== last.pressed || Math.abs(button.value - last.value) >= gamepadValueEpsilon) {
+                state.buttons[i] = { pressed: button.pressed, value: button.value };
+                pushEvent(OS_Window_Event_Type.GAMEPAD_BUTTON, pad.index, i, button.pressed ? 1 : 0,
+                    Math.round(button.value * gamepadValueScale));
+            }
+        });
+
+        filterGamepadAxes(pad).forEach((value, i) => {
+            const last = state.axes[i] || 0;
+            // Always report returning to rest, even when the step is small
+            if (Math.abs(value - last) >= gamepadValueEpsilon || (value === 0 && last !== 0)) {
+                state.axes[i] = value;
+                pushEvent(OS_Window_Event_Type.GAMEPAD_AXIS, pad.index, i, 0,
+                    Math.round(value * gamepadValueScale));
+            }
+        });
     }
 
-    if (data_ptr !== 0) {
-        const buffer = wasm.instance.exports.memory.buffer;
-        const dataSize = width * height * bytesPerPixel;
-        const data = new Uint8Array(buffer, data_ptr, dataSize);
-        gl.texImage2D(gl.TEXTURE_2D, 0, glInternalFormat, width, height, 0, glFormat, gl.UNSIGNED_BYTE, data);
-    } else {
-        // Create empty texture with the correct format
-        gl.texImage2D(gl.TEXTURE_2D, 0, glInternalFormat, width, height, 0, glFormat, gl.UNSIGNED_BYTE, null);
+    for (const [index, state] of gamepadStates) {
+        if (seen.has(index)) continue;
+
+        // Release anything still held so WASM does not see stuck buttons
+        state.buttons.forEach((button, i) => {
+            if (button && button.pressed) {
+                pushEvent(OS_Window_Event_Type.GAMEPAD_BUTTON, index, i, 0, 0);
+            }
+        });
+        gamepadStates.delete(index);
+        console.log(`Gamepad disconnected: ${index}`);
+        pushEvent(OS_Window_Event_Type.GAMEPAD_DISCONNECT, index, 0, 0, 0);
+    }
+}
+
+/**
+ * @param {number} deadzone - Stick deadzone, 0 to 1 (default 0.15)
+ */
+function js_gamepad_set_deadzone(deadzone) {
+    gamepadDeadzone = Math.min(Math.max(deadzone, 0), 0.99);
+}
+
+/**
+ * Copies the browser's description of a gamepad (Gamepad.id) into WASM memory
+ * @param {number} index - Gamepad index
+ * @param {number} dest_ptr - Destination pointer in WASM memory
+ * @param {number} max_size - Maximum bytes to copy
+ * @returns {number} Actual number of bytes copied, or 0 if not connected
+ */
+function js_gamepad_get_name(index, dest_ptr, max_size) {
+    const pad = navigator.getGamepads ? navigator.getGamepads()[index] : null;
+    if (!pad) {
+        return 0;
+    }
+
+    const name = new TextEncoder().encode(pad.id);
+    const buffer = wasm.instance.exports.memory.buffer;
+    const bytesToCopy = Math.min(name.length, max_size);
+    new Uint8Array(buffer, dest_ptr, bytesToCopy).set(name.subarray(0, bytesToCopy));
+    return bytesToCopy;
+}
+
+/**
+ * Starts a rumble effect on a gamepad
+ * @param {number} index - Gamepad index
+ * @param {number} strong - Low-frequency motor strength, 0 to 1
+ * @param {number} weak - High-frequency motor strength, 0 to 1
+ * @param {number} duration_ms - Effect duration in milliseconds
+ * @returns {number} 1 if the effect was started, 0 if the browser or gamepad cannot rumble
+ */
+function js_gamepad_rumble(index, strong, weak, duration_ms) {
+    const pad = navigator.getGamepads ? navigator.getGamepads()[index] : null;
+    if (!pad) {
+        return 0;
+    }
+
+    if (pad.vibrationActuator && pad.vibrationActuator.playEffect) {
+        pad.vibrationActuator.playEffect('dual-rumble', {
+            duration: duration_ms,
+            strongMagnitude: strong,
+            weakMagnitude: weak,
+        }).catch((error) => console.warn('Gamepad rumble failed:', error));
+        return 1;
+    }
+
+    // Older Firefox API
+    if (pad.hapticActuators && pad.hapticActuators.length > 0) {
+        Promise.resolve(pad.hapticActuators[0].pulse(Math.max(strong, weak), duration_ms))
+            .catch((error) => console.warn('Gamepad rumble failed:', error));
+        return 1;
+    }
+
+    return 0;
+}
+
+// ============================================================================
+// File Import
+// ============================================================================
+
+/**
+ * Prefix under which dropped and picked files are stored in preloadedFiles
+ * @type {string}
+ */
+const importMountPoint = '/imports/';
+
+/**
+ * Reads user-supplied files into preloadedFiles and notifies WASM
+ * Each file produces a FILE_DROP event whose payload is the stored path.
+ * @param {FileList | File[]} files - Files to import
+ * @param {number} x - Drop X coordinate, or -1 for files chosen in the picker
+ * @param {number} y - Drop Y coordinate, or -1 for files chosen in the picker
+ * @returns {Promise<void>}
+ */
+async function importFiles(files, x, y) {
+    for (const file of Array.from(files)) {
+        const path = importMountPoint + file.name;
+        try {
+            const data = new Uint8Array(await file.arrayBuffer());
+            preloadedFiles.set(path, data);
+            console.log(`Imported: ${path} (${data.length} bytes)`);
+            pushPayloadEvent(OS_Window_Event_Type.FILE_DROP, x, y, new TextEncoder().encode(path));
+        } catch (error) {
+            console.error(`Error importing file ${file.name}:`, error);
+        }
+    }
+}
+
+/**
+ * Opens the browser file picker
+ * Browsers only allow this shortly after a user gesture, so call it while
+ * handling a click or key press. Chosen files arrive as FILE_DROP events.
+ * @param {number} accept_ptr - Pointer to the accept filter string (e.g. ".ttf,.png"), may be empty
+ * @param {number} accept_len - Length of the accept filter string
+ * @param {number} multiple - Non-zero to allow selecting several files
+ */
+function js_open_file_picker(accept_ptr, accept_len, multiple) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const input = document.getElementById('file-input');
+    input.accept = cstr_by_ptr(buffer, accept_ptr, accept_len);
+    input.multiple = multiple !== 0;
+    input.value = '';
+    input.click();
+}
+
+// ============================================================================
+// File Export
+// ============================================================================
+
+/**
+ * Offers a blob to the user as a browser download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking immediately can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads bytes from WASM memory as a file
+ * @param {number} name_ptr - Pointer to file name string in WASM memory
+ * @param {number} name_len - Length of file name string
+ * @param {number} data_ptr - Pointer to file contents in WASM memory
+ * @param {number} size - Number of bytes
+ * @param {number} mime_ptr - Pointer to MIME type string, may be empty
+ * @param {number} mime_len - Length of MIME type string
+ */
+function js_download_file(name_ptr, name_len, data_ptr, size, mime_ptr, mime_len) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const name = cstr_by_ptr(buffer, name_ptr, name_len);
+    const mime = cstr_by_ptr(buffer, mime_ptr, mime_len) || 'application/octet-stream';
+
+    // Copy out of WASM memory, the buffer may be reused or detached by a memory grow
+    const data = new Uint8Array(buffer, data_ptr, size).slice();
+    downloadBlob(new Blob([data], { type: mime }), name);
+}
+
+/**
+ * Downloads a file from preloadedFiles (preloaded, fetched, imported or written)
+ * @param {number} path_ptr - Pointer to path string in WASM memory
+ * @param {number} path_len - Length of path string
+ * @param {number} name_ptr - Pointer to download file name, empty to use the last path component
+ * @param {number} name_len - Length of download file name
+ * @returns {number} 1 if the download was started, 0 if the file was not found
+ */
+function js_download_preloaded_file(path_ptr, path_len, name_ptr, name_len) {
+    const fileData = js_get_preloaded_file(path_ptr, path_len);
+    if (!fileData) {
+        return 0;
+    }
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const path = cstr_by_ptr(buffer, path_ptr, path_len);
+    const name = cstr_by_ptr(buffer, name_ptr, name_len) || path.slice(path.lastIndexOf('/') + 1);
+    downloadBlob(new Blob([fileData], { type: 'application/octet-stream' }), name);
+    return 1;
+}
+
+// ============================================================================
+// Clipboard
+// ============================================================================
+
+/**
+ * Set on Ctrl+V / Cmd+V until the paste event arrives; if it never does the
+ * clipboard is read through navigator.clipboard instead
+ * @type {boolean}
+ */
+let pasteEventPending = false;
+
+/**
+ * Queues a CLIPBOARD event
+ * The text is a payload (key = payload id, pressed = byte length). It is also
+ * copied into the buffer returned by the WASM export wasm_get_clipboard_buffer
+ * when the event is delivered, if WASM exports it; then at most one CLIPBOARD
+ * event is delivered per frame, the rest follow in later frames.
+ * @param {string} text - Pasted text
+ */
+function pushClipboardEvent(text) {
+    pushPayloadEvent(OS_Window_Event_Type.CLIPBOARD, 0, 0, new TextEncoder().encode(text));
+}
+
+/**
+ * Copies a CLIPBOARD event's text into WASM memory
+ * wasm_get_clipboard_buffer(size) must return a pointer to at least `size`
+ * bytes, or 0 to skip the copy (the text stays readable through js_get_event_payload).
+ * @param {Object} event - Queued CLIPBOARD event
+ */
+function writeClipboardPayloadToWASM(event) {
+    const getBuffer = wasm.instance.exports.wasm_get_clipboard_buffer;
+    const payload = eventPayloads.get(event.payloadId);
+    if (!getBuffer || !payload) {
+        return;
+    }
+
+    const ptr = getBuffer(payload.length);
+    if (ptr === 0) {
+        return;
+    }
+    new Uint8Array(wasm.instance.exports.memory.buffer, ptr, payload.length).set(payload);
+}
+
+/**
+ * Reads the clipboard through the async Clipboard API and queues a CLIPBOARD event
+ * The browser may ask the user for permission.
+ */
+function readClipboardText() {
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+        console.warn('Clipboard read is not supported in this browser');
+        return;
+    }
+
+    navigator.clipboard.readText().then((text) => {
+        if (text) {
+            pushClipboardEvent(text);
+        }
+    }).catch((error) => {
+        console.warn('Clipboard read failed:', error);
+    });
+}
+
+/**
+ * Copies text to the system clipboard
+ * Falls back to execCommand('copy') through the hidden text input where the
+ * async Clipboard API is unavailable.
+ * @param {number} ptr - Pointer to UTF-8 text in WASM memory
+ * @param {number} len - Length of the text in bytes
+ */
+function js_clipboard_write_text(ptr, len) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const text = cstr_by_ptr(buffer, ptr, len);
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).catch((error) => {
+            console.warn('Clipboard write failed:', error);
+        });
+        return;
+    }
+
+    const textInput = document.getElementById('text-input');
+    textInput.value = text;
+    textInput.select();
+    try {
+        document.execCommand('copy');
+    } catch (error) {
+        console.warn('Clipboard write failed:', error);
+    }
+    textInput.value = '';
+}
+
+/**
+ * Requests the clipboard contents, delivered later as a CLIPBOARD event
+ * For paste actions not triggered by Ctrl+V (e.g. a menu item).
+ */
+function js_clipboard_request_text() {
+    readClipboardText();
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Calculates the length of a null-terminated C string.
+ * @param {Uint8Array} mem - Memory view to read from
+ * @param {number} ptr - Pointer to the start of the string
+ * @returns {number} Length of the string (excluding null terminator)
+ */
+function cstrlen(mem, ptr) {
+    let len = 0;
+    while (mem[ptr] != 0) {
+        len++;
+        ptr++;
+    }
+    return len;
+}
+
+/**
+ * Converts a C string pointer to a JavaScript string.
+ * @param {ArrayBuffer} mem_buffer - WebAssembly memory buffer
+ * @param {number} ptr - Pointer to the string
+ * @param {number} count - Number of bytes to read
+ * @returns {string} Decoded string
+ */
+function cstr_by_ptr(mem_buffer, ptr, count) {
+    const bytes = new Uint8Array(mem_buffer, ptr, count);
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Creates a Float32Array view from WebAssembly memory.
+ * @param {number} ptr - Pointer to the data
+ * @param {number} count - Number of floats to read
+ * @returns {Float32Array} Float32 array view of the memory
+ */
+function float32_array_by_ptr(ptr, count) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const bytes = new Float32Array(buffer, ptr, count);
+    return bytes;
+}
+
+/**
+ * Converts byte size to WebAssembly page count.
+ * @param {number} size - Size in bytes
+ * @returns {number} Number of WASM pages needed
+ */
+function byte_to_wasm_pages(size) {
+    const bytesPerPage = 65536; // 64KB per page
+    return Math.ceil(size / bytesPerPage);
+}
+
+// ============================================================================
+// OS Interface Functions (called from WASM)
+// ============================================================================
+
+/**
+ * @param {number} message_ptr - Pointer to the message string
+ * @param {number} count - Length of the message
+ */
+function js_print(message_ptr, count) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const message = cstr_by_ptr(buffer, message_ptr, count);
+    console.log(message);
+}
+
+/**
+ * @param {number} title_ptr - Pointer to the title string
+ * @param {number} count - Length of the title
+ */
+function js_set_title(title_ptr, count) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const message = cstr_by_ptr(buffer, title_ptr, count);
+    document.title = message;
+}
+
+/**
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ */
+function js_create_canvas(width, height) {
+    canvas.width = width;
+    canvas.height = height;
+    gl = canvas.getContext("webgl2", { stencil: true });
+    initTextureState();
+
+    gl.clearColor(0, 0, 0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * @param {number} new_byte_length - Number of bytes to grow
+ */
+function js_memory_grow(new_byte_length) {
+    const mem = wasm.instance.exports.memory;
+    console.log(new_byte_length);
+    console.log(mem);
+    mem.grow(byte_to_wasm_pages(new_byte_length));
+}
+
+/**
+ * Returns the current time in milliseconds with high precision.
+ * @returns {number} Time in milliseconds since page load
+ */
+function js_performance_now() {
+    return recordOrReplayNow(performance.now());
+}
+
+// ============================================================================
+// WebGL Context and Shader Setup
+// ============================================================================
+
+/** @type {WebGL2RenderingContext | null} */
+let gl;
+
+const vsSource = `
+attribute vec2 vert_pos;
+attribute vec4 color;
+attribute vec2 uv;
+
+uniform mat4 proj;
+uniform mat4 model;
+
+varying vec4 v_color;
+varying vec2 v_uv;
+
+void main() {
+    gl_Position = proj * model * vec4(vert_pos, 0.0, 1.0);
+    gl_PointSize = 1.0;
+    v_color = color;
+    v_uv = uv;
+}
+`;
+
+const fsSource = `
+precision mediump float;
+
+varying vec4 v_color;
+varying vec2 v_uv;
+
+uniform sampler2D u_texture;
+uniform bool u_use_texture;
+uniform bool is_text;
+
+void main() {
+    if (is_text) {
+        vec4 tex_color = texture2D(u_texture, v_uv);
+        gl_FragColor = vec4(v_color.r, v_color.g, v_color.b, tex_color.a);
+    } else if (u_use_texture) {
+        gl_FragColor = texture2D(u_texture, v_uv) * v_color;
+    } else {
+        gl_FragColor = v_color;
+    }
+}
+`;
+
+/**
+ * Compile or link error from the last program creation, empty if it succeeded
+ * Readable from WASM with webgl_get_shader_error.
+ * @type {string}
+ */
+let lastShaderError = '';
+
+/**
+ * @param {number} type - Shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
+ * @param {string} source - Shader source code
+ * @returns {WebGLShader | null} Compiled shader or null on error
+ */
+function loadShader(type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+        lastShaderError = `Error compiling ${stage} shader: ${gl.getShaderInfoLog(shader)}`;
+        console.error(lastShaderError);
+        gl.deleteShader(shader);
+        return null;
+    }
+
+    return shader;
+}
+
+/**
+ * Attribute locations bound before linking, so every vertex array object
+ * works with every program
+ * @readonly
+ * @enum {number}
+ */
+const AttribLocation = {
+    POSITION: 0,
+    COLOR: 1,
+    UV: 2,
+};
+
+/**
+ * @param {string} vert - Vertex shader source
+ * @param {string} frag - Fragment shader source
+ * @returns {WebGLProgram | null} Linked shader program or null on error
+ */
+function initShaderProgram(vert, frag) {
+    const vertexShader = loadShader(gl.VERTEX_SHADER, vert);
+    const fragmentShader = loadShader(gl.FRAGMENT_SHADER, frag);
+    if (!vertexShader || !fragmentShader) {
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        return null;
+    }
+
+    const shaderProgram = gl.createProgram();
+    gl.attachShader(shaderProgram, vertexShader);
+    gl.attachShader(shaderProgram, fragmentShader);
+    gl.bindAttribLocation(shaderProgram, AttribLocation.POSITION, "vert_pos");
+    gl.bindAttribLocation(shaderProgram, AttribLocation.COLOR, "color");
+    gl.bindAttribLocation(shaderProgram, AttribLocation.UV, "uv");
+    gl.linkProgram(shaderProgram);
+
+    // The program keeps its own copy of the compiled code
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+
+    if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
+        lastShaderError = `Unable to link the shader program: ${gl.getProgramInfoLog(shaderProgram)}`;
+        console.error(lastShaderError);
+        gl.deleteProgram(shaderProgram);
+        return null;
+    }
+
+    return shaderProgram;
+}
+
+// ============================================================================
+// WebGL Rendering State
+// ============================================================================
+
+/**
+ * Shader program info containing program reference and attribute/uniform locations.
+ * @typedef {Object} ProgramInfo
+ * @property {WebGLProgram} program - The compiled shader program
+ * @property {Object} attribLocations - Attribute location mappings
+ * @property {number} attribLocations.vertexPosition - Vertex position attribute location
+ * @property {number} attribLocations.color - Color attribute location
+ * @property {number} attribLocations.uv - UV coordinate attribute location
+ * @property {Object} uniformLocations - Uniform location mappings
+ * @property {WebGLUniformLocation} uniformLocations.projectionMatrix - Projection matrix uniform
+ * @property {WebGLUniformLocation} uniformLocations.modelViewMatrix - Model-view matrix uniform
+ * @property {WebGLUniformLocation} uniformLocations.texture - Texture sampler uniform
+ * @property {WebGLUniformLocation} uniformLocations.useTexture - Boolean flag for texture usage
+ * @property {Object} uploaded - Uniform values last sent to this program, to skip redundant uploads
+ */
+
+/**
+ * Built-in program, used when no user program is bound
+ * @type {ProgramInfo | null}
+ */
+let programInfo;
+
+/**
+ * Program used by draws, programInfo or one bound with webgl_use_program
+ * @type {ProgramInfo | null}
+ */
+let activeProgramInfo;
+
+let matProj = new Float32Array([
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1,
+]);
+
+let matModel = new Float32Array([
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1,
+]);
+
+// ============================================================================
+// Streaming Vertex Buffer
+// ============================================================================
+
+/** Initial size of the streaming vertex buffer in bytes */
+const initialVertexBufferSize = 1024 * 1024;
+
+/**
+ * Long-lived vertex buffer that draws append to
+ * When it fills up its storage is orphaned (re-specified with bufferData) so
+ * the driver can hand out fresh memory without waiting for pending draws.
+ * @type {WebGLBuffer | null}
+ */
+let vertexBuffer = null;
+let vertexBufferSize = 0;
+let vertexBufferOffset = 0;
+
+/** Initial size of the streaming index buffer in bytes */
+const initialIndexBufferSize = 256 * 1024;
+
+/**
+ * Long-lived index buffer for indexed draws, streamed like vertexBuffer
+ * Indices are stored as u16 or u32, already offset to the vertices' place in vertexBuffer.
+ * @type {WebGLBuffer | null}
+ */
+let indexBuffer = null;
+let indexBufferSize = 0;
+let indexBufferOffset = 0;
+
+/**
+ * Vertex array objects by vertex layout key
+ * Attribute pointers are relative to the start of vertexBuffer; draws select
+ * their vertices with the `first` argument of drawArrays, or with indices
+ * into indexBuffer, which every vertex array has bound.
+ * @type {Map<string, WebGLVertexArrayObject>}
+ */
+let vertexArrays = new Map();
+
+/** @type {WebGLVertexArrayObject | null} */
+let currentVertexArray = null;
+
+/** @type {WebGLProgram | null} */
+let currentProgram = null;
+
+/**
+ * Render counters for the frame in progress and the last completed frame
+ * `submittedDraws` counts webgl_draw_vertex_buffer and
+ * webgl_draw_indexed_vertex_buffer calls, `drawCalls` the drawArrays and
+ * drawElements calls they were batched into.
+ * @type {{drawCalls: number, submittedDraws: number, uploadBytes: number, bufferOrphans: number}}
+ */
+let renderStats = { drawCalls: 0, submittedDraws: 0, uploadBytes: 0, bufferOrphans: 0 };
+let lastFrameRenderStats = { drawCalls: 0, submittedDraws: 0, uploadBytes: 0, bufferOrphans: 0 };
+
+/**
+ * Primitive types for webgl_draw_indexed_vertex_buffer
+ * @readonly
+ * @enum {number}
+ */
+const OS_Primitive = {
+    TRIANGLES: 0,
+    TRIANGLE_STRIP: 1,
+    TRIANGLE_FAN: 2,
+    LINES: 3,
+    LINE_STRIP: 4,
+    POINTS: 5,
+};
+
+/**
+ * @param {number} primitive - OS_Primitive value
+ * @returns {number | undefined} GL draw mode
+ */
+function glPrimitiveMode(primitive) {
+    switch (primitive) {
+        case OS_Primitive.TRIANGLES: return gl.TRIANGLES;
+        case OS_Primitive.TRIANGLE_STRIP: return gl.TRIANGLE_STRIP;
+        case OS_Primitive.TRIANGLE_FAN: return gl.TRIANGLE_FAN;
+        case OS_Primitive.LINES: return gl.LINES;
+        case OS_Primitive.LINE_STRIP: return gl.LINE_STRIP;
+        case OS_Primitive.POINTS: return gl.POINTS;
+    }
+    return undefined;
+}
+
+/**
+ * Draw waiting to be issued; consecutive draws with the same state, layout and
+ * primitive mode are appended to it. Anything that changes render state calls
+ * flushBatch() first, so the state at flush time is the state the draws were
+ * made with. Indexed batches have an indexOffset (bytes into indexBuffer), an
+ * indexType and count indices; the others have indexOffset -1 and count
+ * vertices from first.
+ * @type {{program: ProgramInfo, layout: VertexLayout, mode: number, first: number, count: number, indexOffset: number, indexType?: number} | null}
+ */
+let pendingBatch = null;
+
+/**
+ * Creates the streaming vertex and index buffers
+ */
+function initVertexBuffer() {
+    vertexBuffer = gl.createBuffer();
+    vertexBufferSize = initialVertexBufferSize;
+    vertexBufferOffset = 0;
+    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertexBufferSize, gl.STREAM_DRAW);
+
+    indexBuffer = gl.createBuffer();
+    indexBufferSize = initialIndexBufferSize;
+    indexBufferOffset = 0;
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexBufferSize, gl.STREAM_DRAW);
+}
+
+/**
+ * Vertices of a draw in the interleaved form the streaming buffer holds
+ * @typedef {Object} PackedVertices
+ * @property {Uint8Array} data - Vertex bytes
+ * @property {number} stride - Byte stride shared by all attributes
+ * @property {number} vert_offset - Byte offset of the position
+ * @property {number} uv_offset - Byte offset of the UV coordinate
+ * @property {number} color_offset - Byte offset of the color
+ */
+
+/**
+ * Gathers a draw's vertices so every attribute uses the same stride
+ * Draws address vertices by index into the streaming buffer, which only works
+ * when all attributes advance together. Data that already shares one stride is
+ * used in place; otherwise each attribute is copied using its own stride.
+ * @param {ArrayBuffer} buffer - WASM memory
+ * @param {number} count - Number of vertices
+ * @param {number} vert_data - Pointer to vertex data
+ * @param {number} vert_size - Number of position components (2 or 3)
+ * @param {number} vert_stride - Byte stride between positions
+ * @param {number} vert_offset - Byte offset of the position
+ * @param {number} uv_stride - Byte stride between UV coordinates
+ * @param {number} uv_offset - Byte offset of the UV coordinate
+ * @param {number} color_stride - Byte stride between colors
+ * @param {number} color_offset - Byte offset of the color
+ * @param {number} color_is_float - Whether color data is float (0=byte, 1=float); selects the UV type
+ * @returns {PackedVertices}
+ */
+function packVertices(buffer, count, vert_data, vert_size, vert_stride, vert_offset, uv_stride, uv_offset, color_stride, color_offset, color_is_float) {
+    if (uv_stride === vert_stride && color_stride === vert_stride) {
+        return {
+            data: new Uint8Array(buffer, vert_data, count * vert_stride),
+            stride: vert_stride,
+            vert_offset,
+            uv_offset,
+            color_offset,
+        };
+    }
+
+    const positionBytes = vert_size * 4;
+    const colorBytes = 16;
+    const uvBytes = color_is_float != 0 ? 8 : 2;
+    const stride = positionBytes + colorBytes + Math.ceil(uvBytes / 4) * 4;
+
+    const source = new Uint8Array(buffer);
+    const data = new Uint8Array(count * stride);
+    const attributes = [
+        [vert_offset, vert_stride, positionBytes, 0],
+        [color_offset, color_stride, colorBytes, positionBytes],
+        [uv_offset, uv_stride, uvBytes, positionBytes + colorBytes],
+    ];
+    for (const [srcOffset, srcStride, size, dstOffset] of attributes) {
+        for (let i = 0; i < count; i++) {
+            const from = vert_data + srcOffset + i * srcStride;
+            const to = i * stride + dstOffset;
+            for (let b = 0; b < size; b++) {
+                data[to + b] = source[from + b];
+            }
+        }
+    }
+
+    return {
+        data,
+        stride,
+        vert_offset: 0,
+        uv_offset: positionBytes + colorBytes,
+        color_offset: positionBytes,
+    };
+}
+
+/**
+ * Appends vertex data to the streaming buffer
+ * @param {Uint8Array} data - Interleaved vertex bytes
+ * @param {number} stride - Byte stride between vertices
+ * @returns {number} Index of the first uploaded vertex, for drawArrays
+ */
+function uploadVertices(data, stride) {
+    // Start on a vertex boundary so the data can be addressed by vertex index
+    let offset = Math.ceil(vertexBufferOffset / stride) * stride;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+    if (offset + data.byteLength > vertexBufferSize) {
+        // Orphaning discards the old storage, draw what is still pending in it first
+        flushBatch();
+        while (data.byteLength > vertexBufferSize) {
+            vertexBufferSize *= 2;
+        }
+        gl.bufferData(gl.ARRAY_BUFFER, vertexBufferSize, gl.STREAM_DRAW);
+        renderStats.bufferOrphans++;
+        offset = 0;
+    }
+
+    gl.bufferSubData(gl.ARRAY_BUFFER, offset, data);
+    vertexBufferOffset = offset + data.byteLength;
+    renderStats.uploadBytes += data.byteLength;
+    return offset / stride;
+}
+
+/**
+ * Appends indices to the streaming index buffer
+ * Binding indexBuffer also binds it to the current vertex array, which is
+ * harmless since every vertex array uses it.
+ * @param {Uint16Array | Uint32Array} indices - Indices already offset into vertexBuffer
+ * @returns {number} Byte offset of the first index, for drawElements
+ */
+function uploadIndices(indices) {
+    // drawElements needs the offset to be a multiple of the index size
+    const size = indices.BYTES_PER_ELEMENT;
+    let offset = Math.ceil(indexBufferOffset / size) * size;
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    if (offset + indices.byteLength > indexBufferSize) {
+        flushBatch();
+        while (indices.byteLength > indexBufferSize) {
+            indexBufferSize *= 2;
+        }
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexBufferSize, gl.STREAM_DRAW);
+        renderStats.bufferOrphans++;
+        offset = 0;
+    }
+
+    gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, offset, indices);
+    indexBufferOffset = offset + indices.byteLength;
+    renderStats.uploadBytes += indices.byteLength;
+    return offset;
+}
+
+/**
+ * Vertex attribute layout of a draw, as passed to webgl_draw_vertex_buffer
+ * @typedef {Object} VertexLayout
+ * @property {string} key - Identifies the layout in vertexArrays
+ * @property {number} vert_size - Number of position components (2 or 3)
+ * @property {number} vert_stride - Byte stride between positions
+ * @property {number} vert_offset - Byte offset of the position
+ * @property {number} uv_stride - Byte stride between UV coordinates
+ * @property {number} uv_offset - Byte offset of the UV coordinate
+ * @property {number} color_stride - Byte stride between colors
+ * @property {number} color_offset - Byte offset of the color
+ * @property {number} color_is_float - Whether color data is float (0=byte, 1=float)
+ */
+
+/**
+ * @param {number} vert_size
+ * @param {number} vert_stride
+ * @param {number} vert_offset
+ * @param {number} uv_stride
+ * @param {number} uv_offset
+ * @param {number} color_stride
+ * @param {number} color_offset
+ * @param {number} color_is_float
+ * @returns {VertexLayout}
+ */
+function makeVertexLayout(vert_size, vert_stride, vert_offset, uv_stride, uv_offset, color_stride, color_offset, color_is_float) {
+    return {
+        key: `${vert_size}:${vert_stride}:${vert_offset}:${uv_stride}:${uv_offset}:${color_stride}:${color_offset}:${color_is_float}`,
+        vert_size, vert_stride, vert_offset,
+        uv_stride, uv_offset, color_stride, color_offset, color_is_float,
+    };
+}
+
+/**
+ * Binds the vertex array object for a vertex layout, creating it on first use
+ * @param {VertexLayout} layout
+ */
+function bindVertexLayout(layout) {
+    const {
+        key, vert_size, vert_stride, vert_offset,
+        uv_stride, uv_offset, color_stride, color_offset, color_is_float,
+    } = layout;
+
+    let vao = vertexArrays.get(key);
+    if (!vao) {
+        vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+
+        gl.enableVertexAttribArray(AttribLocation.POSITION);
+        gl.vertexAttribPointer(AttribLocation.POSITION, vert_size, gl.FLOAT, false, vert_stride, vert_offset);
+
+        gl.enableVertexAttribArray(AttribLocation.COLOR);
+        gl.vertexAttribPointer(AttribLocation.COLOR, 4, gl.FLOAT, false, color_stride, color_offset);
+
+        gl.enableVertexAttribArray(AttribLocation.UV);
+        gl.vertexAttribPointer(
+            AttribLocation.UV,
+            2,
+            color_is_float != 0 ? gl.FLOAT : gl.UNSIGNED_BYTE,
+            false,
+            uv_stride,
+            uv_offset,
+        );
+
+        vertexArrays.set(key, vao);
+        currentVertexArray = vao;
+        return;
+    }
+
+    if (vao !== currentVertexArray) {
+        gl.bindVertexArray(vao);
+        currentVertexArray = vao;
+    }
+}
+
+/**
+ * Makes a program current and uploads the uniforms that changed since its last draw
+ * @param {ProgramInfo} info - Program to draw with
+ */
+function applyProgramState(info) {
+    if (currentProgram !== info.program) {
+        gl.useProgram(info.program);
+        currentProgram = info.program;
+    }
+
+    const uploaded = info.uploaded;
+    const locations = info.uniformLocations;
+
+    if (uploaded.proj !== matProj) {
+        gl.uniformMatrix4fv(locations.projectionMatrix, false, matProj);
+        uploaded.proj = matProj;
+    }
+    if (uploaded.model !== matModel) {
+        gl.uniformMatrix4fv(locations.modelViewMatrix, false, matModel);
+        uploaded.model = matModel;
+    }
+
+    const useTexture = currentTexture !== null ? 1 : 0;
+    if (uploaded.useTexture !== useTexture) {
+        gl.uniform1i(locations.useTexture, useTexture);
+        uploaded.useTexture = useTexture;
+    }
+
+    const isText = currentTexturePixelFormat === PixelFormat.ALPHA ? 1 : 0;
+    if (uploaded.isText !== isText) {
+        gl.uniform1i(locations.isText, isText);
+        uploaded.isText = isText;
+    }
+}
+
+/**
+ * Issues the pending batched draw, if any
+ */
+function flushBatch() {
+    const batch = pendingBatch;
+    if (!batch) {
+        return;
+    }
+    pendingBatch = null;
+
+    applyProgramState(batch.program);
+    bindVertexLayout(batch.layout);
+    if (batch.indexOffset >= 0) {
+        gl.drawElements(batch.mode, batch.count, batch.indexType, batch.indexOffset);
+    } else {
+        gl.drawArrays(batch.mode, batch.first, batch.count);
+    }
+    renderStats.drawCalls++;
+}
+
+/**
+ * Starts counting render stats for a new frame
+ */
+function resetRenderStats() {
+    lastFrameRenderStats = renderStats;
+    renderStats = { drawCalls: 0, submittedDraws: 0, uploadBytes: 0, bufferOrphans: 0 };
+}
+
+/**
+ * @returns {number} Draw calls issued in the last completed frame
+ */
+function webgl_get_draw_call_count() {
+    return lastFrameRenderStats.drawCalls;
+}
+
+/**
+ * @returns {number} Draws submitted from WASM in the last completed frame, before batching
+ */
+function webgl_get_submitted_draw_count() {
+    return lastFrameRenderStats.submittedDraws;
+}
+
+/**
+ * @returns {number} Vertex and index bytes uploaded in the last completed frame
+ */
+function webgl_get_upload_byte_count() {
+    return lastFrameRenderStats.uploadBytes;
+}
+
+// ============================================================================
+// Texture Management
+// ============================================================================
+
+let textureMap = new Map();
+let nextTextureHandle = 1;
+let currentTexture = null;
+let currentTexturePixelFormat = 0;
+
+/**
+ * Format, flags and size of each texture, by handle
+ * @type {Map<number, {format: number, flags: number, width: number, height: number}>}
+ */
+let textureInfoMap = new Map();
+
+/**
+ * Optional extensions affecting texture creation, looked up in initTextureState
+ * @type {{floatLinear: OES_texture_float_linear | null, colorBufferFloat: EXT_color_buffer_float | null, anisotropic: EXT_texture_filter_anisotropic | null}}
+ */
+let textureExtensions = { floatLinear: null, colorBufferFloat: null, anisotropic: null };
+
+/** gl.MAX_TEXTURE_SIZE, queried once so texture creation needs no round-trip */
+let maxTextureSize = 0;
+
+/**
+ * Check for GL errors after texture uploads; enabled with ?gldebug
+ * getError waits for the GPU, so it is off by default.
+ */
+const glDebug = new URLSearchParams(location.search).has('gldebug');
+
+/**
+ * Sets up texture upload state for a new context
+ * Runs when the canvas is created, textures can be created before webgl_init.
+ */
+function initTextureState() {
+    textureExtensions = {
+        floatLinear: gl.getExtension('OES_texture_float_linear'),
+        colorBufferFloat: gl.getExtension('EXT_color_buffer_float'),
+        anisotropic: gl.getExtension('EXT_texture_filter_anisotropic'),
+    };
+    maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    // Rows of RGB and single-channel data are rarely 4-byte aligned
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+}
+
+/**
+ * Clears GL error flags left by earlier calls, so getError reports only what follows
+ * Does nothing unless glDebug is set.
+ */
+function clearGLErrors() {
+    if (!glDebug) return;
+    // Bounded, a lost context keeps reporting CONTEXT_LOST_WEBGL
+    for (let i = 0; i < 8; i++) {
+        if (gl.getError() === gl.NO_ERROR) break;
+    }
+}
+
+/**
+ * Reports a GL error raised since clearGLErrors(), if glDebug is set
+ * @param {string} what - Description of the operation for the log
+ * @returns {boolean} True if an error was raised
+ */
+function reportGLError(what) {
+    if (!glDebug) return false;
+    const error = gl.getError();
+    if (error === gl.NO_ERROR) return false;
+    console.error(`${what}: GL error 0x${error.toString(16)}`);
+    return true;
+}
+
+/**
+ * @readonly
+ * @enum {number}
+ */
+const PixelFormat = {
+    RGBA: 0,
+    RGB: 1,
+    R: 2,
+    ALPHA: 3,
+    RG: 4,
+    R16F: 5,     // Float formats take 32-bit float input
+    RGBA16F: 6,
+    RGBA32F: 7,
+};
+
+/**
+ * Texture creation flags
+ * @readonly
+ * @enum {number}
+ */
+const OS_Texture_Flag = {
+    MIPMAPS: 1,     // Generate mipmaps, regenerated after region updates
+    WRAP_REPEAT: 2,
+    WRAP_MIRROR: 4, // Takes precedence over WRAP_REPEAT
+    ANISOTROPIC: 8, // Highest available anisotropy, if supported
+};
+
+/**
+ * How a pixel format maps to WebGL2
+ * @typedef {Object} TextureFormat
+ * @property {number} internalFormat - Sized internal format (ALPHA is unsized)
+ * @property {number} format - Format of the uploaded data
+ * @property {number} type - Component type of the uploaded data
+ * @property {number} components - Components per pixel
+ * @property {boolean} isFloat - Data is read as a Float32Array
+ * @property {boolean} filterable - Linear filtering works without extensions
+ */
+
+/**
+ * @param {number} pixel_format - PixelFormat value
+ * @returns {TextureFormat | null} Format description, or null for an unknown format
+ */
+function getTextureFormat(pixel_format) {
+    switch (pixel_format) {
+        case PixelFormat.RGBA:
+            return { internalFormat: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE, components: 4, isFloat: false, filterable: true };
+        case PixelFormat.RGB:
+            return { internalFormat: gl.RGB8, format: gl.RGB, type: gl.UNSIGNED_BYTE, components: 3, isFloat: false, filterable: true };
+        case PixelFormat.R:
+            return { internalFormat: gl.R8, format: gl.RED, type: gl.UNSIGNED_BYTE, components: 1, isFloat: false, filterable: true };
+        case PixelFormat.ALPHA:
+            return { internalFormat: gl.ALPHA, format: gl.ALPHA, type: gl.UNSIGNED_BYTE, components: 1, isFloat: false, filterable: true };
+        case PixelFormat.RG:
+            return { internalFormat: gl.RG8, format: gl.RG, type: gl.UNSIGNED_BYTE, components: 2, isFloat: false, filterable: true };
+        case PixelFormat.R16F:
+            return { internalFormat: gl.R16F, format: gl.RED, type: gl.FLOAT, components: 1, isFloat: true, filterable: true };
+        case PixelFormat.RGBA16F:
+            return { internalFormat: gl.RGBA16F, format: gl.RGBA, type: gl.FLOAT, components: 4, isFloat: true, filterable: true };
+        case PixelFormat.RGBA32F:
+            return { internalFormat: gl.RGBA32F, format: gl.RGBA, type: gl.FLOAT, components: 4, isFloat: true, filterable: false };
+    }
+    return null;
+}
+
+/**
+ * @param {ArrayBuffer} buffer - WASM memory
+ * @param {number} ptr - Pointer to pixel data
+ * @param {TextureFormat} textureFormat
+ * @param {number} pixelCount - Number of pixels to view
+ * @returns {Uint8Array | Float32Array} View of the pixel data matching the upload type
+ */
+function pixelDataView(buffer, ptr, textureFormat, pixelCount) {
+    const length = pixelCount * textureFormat.components;
+    return textureFormat.isFloat
+        ? new Float32Array(buffer, ptr, length)
+        : new Uint8Array(buffer, ptr, length);
+}
+
+/**
+ * @param {number} data_ptr - Pointer to pixel data in WASM memory (0 for empty texture)
+ * @param {number} width - Texture width in pixels
+ * @param {number} height - Texture height in pixels
+ * @param {number} pixel_format - PixelFormat value (0=RGBA, 1=RGB, 2=R, 3=ALPHA, 4=RG, 5=R16F, 6=RGBA16F, 7=RGBA32F)
+ * @param {number} filter - Filter mode (0=nearest, 1=linear)
+ * @param {number} [flags=0] - OS_Texture_Flag bits
+ * @returns {number} Texture handle for future operations, or 0 on error
+ */
+function webgl_create_texture(data_ptr, width, height, pixel_format, filter, flags = 0) {
+    const textureFormat = getTextureFormat(pixel_format);
+    if (!textureFormat) {
+        console.error(`webgl_create_texture: unknown pixel format ${pixel_format}`);
+        return 0;
+    }
+    if (width <= 0 || height <= 0 || width > maxTextureSize || height > maxTextureSize) {
+        console.error(`webgl_create_texture: invalid size ${width}x${height} (max ${maxTextureSize})`);
+        return 0;
+    }
+    if (textureFormat.isFloat && data_ptr % 4 !== 0) {
+        console.error('webgl_create_texture: float pixel data must be 4-byte aligned');
+        return 0;
+    }
+    const bytesPerPixel = textureFormat.components * (textureFormat.isFloat ? 4 : 1);
+    if (data_ptr !== 0 && data_ptr + width * height * bytesPerPixel > wasm.instance.exports.memory.buffer.byteLength) {
+        console.error('webgl_create_texture: pixel data extends past the end of WASM memory');
+        return 0;
+    }
+
+    const filterable = textureFormat.filterable || textureExtensions.floatLinear !== null;
+    let linear = filter !== 0;
+    if (linear && !filterable) {
+        console.warn(`webgl_create_texture: linear filtering of format ${pixel_format} is not supported, using nearest`);
+        linear = false;
+    }
+    let mipmaps = (flags & OS_Texture_Flag.MIPMAPS) !== 0;
+    // Mipmap generation needs the format to be both renderable and filterable
+    if (mipmaps && textureFormat.isFloat && !(textureExtensions.colorBufferFloat && filterable)) {
+        console.warn('webgl_create_texture: mipmaps of float textures are not supported, skipping them');
+        mipmaps = false;
+    }
+
+    // Creating a texture rebinds texture unit 0
+    flushBatch();
+
+    const texture = gl.createTexture();
+    const handle = nextTextureHandle++;
+    textureMap.set(handle, texture);
+    textureInfoMap.set(handle, {
+        format: pixel_format,
+        flags: mipmaps ? flags : flags & ~OS_Texture_Flag.MIPMAPS,
+        width,
+        height,
+    });
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    // Clamp to edge unless asked otherwise, to prevent bleeding
+    let wrap = gl.CLAMP_TO_EDGE;
+    if (flags & OS_Texture_Flag.WRAP_MIRROR) {
+        wrap = gl.MIRRORED_REPEAT;
+    } else if (flags & OS_Texture_Flag.WRAP_REPEAT) {
+        wrap = gl.REPEAT;
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+
+    if (linear) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmaps ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, mipmaps ? gl.NEAREST_MIPMAP_NEAREST : gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    }
+
+    const anisotropic = textureExtensions.anisotropic;
+    if ((flags & OS_Texture_Flag.ANISOTROPIC) && anisotropic) {
+        const maxAnisotropy = gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+        gl.texParameterf(gl.TEXTURE_2D, anisotropic.TEXTURE_MAX_ANISOTROPY_EXT, maxAnisotropy);
+    }
+
+    const { internalFormat, format, type } = textureFormat;
+    clearGLErrors();
+    if (data_ptr !== 0) {
+        const buffer = wasm.instance.exports.memory.buffer;
+        const data = pixelDataView(buffer, data_ptr, textureFormat, width * height);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, data);
+    } else {
+        // Create empty texture with the correct format
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+    }
+
+    if (mipmaps) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+    }
+
+    // Put back the texture draws are using
+    gl.bindTexture(gl.TEXTURE_2D, currentTexture);
+
+    if (reportGLError(`webgl_create_texture: ${width}x${height} texture of format ${pixel_format}`)) {
+        webgl_destroy_texture(handle);
+        return 0;
+    }
+
+    return handle;
+}
+
+/**
+ * @param {number} handle - Texture or render target handle to destroy
+ */
+function webgl_destroy_texture(handle) {
+    const texture = textureMap.get(handle);
+    if (texture) {
+        flushBatch();
+        destroyRenderTarget(handle);
+        if (currentTexture === texture) {
+            currentTexture = null;
+        }
+        gl.deleteTexture(texture);
+        textureMap.delete(handle);
+        textureInfoMap.delete(handle);
+    }
+}
+
+/**
+ * @param {number} handle - Texture handle to update
+ * @param {number} data_ptr - Pointer to pixel data in WASM memory
+ * @param {number} stride - Row stride (width) of source data
+ * @param {number} x - X offset in texture
+ * @param {number} y - Y offset in texture
+ * @param {number} w - Width of region to update
+ * @param {number} h - Height of region to update
+ * @param {number} pixel_format - Pixel format of the data, must match the texture's
+ */
+function webgl_update_texture_region(handle, data_ptr, stride, x, y, w, h, pixel_format) {
+    const texture = textureMap.get(handle);
+    if (!texture) return;
+
+    const info = textureInfoMap.get(handle);
+    if (pixel_format !== info.format) {
+        console.error(`webgl_update_texture_region: pixel format ${pixel_format} does not match texture format ${info.format}`);
+        return;
+    }
+    if (x < 0 || y < 0 || x + w > info.width || y + h > info.height || x + w > stride) {
+        console.error(`webgl_update_texture_region: region ${x},${y} ${w}x${h} is outside the ${info.width}x${info.height} texture or the source stride ${stride}`);
+        return;
+    }
+    const textureFormat = getTextureFormat(pixel_format);
+    if (textureFormat.isFloat && data_ptr % 4 !== 0) {
+        console.error('webgl_update_texture_region: float pixel data must be 4-byte aligned');
+        return;
+    }
+    const bytesPerPixel = textureFormat.components * (textureFormat.isFloat ? 4 : 1);
+    if (data_ptr + h * stride * bytesPerPixel > wasm.instance.exports.memory.buffer.byteLength) {
+        console.error('webgl_update_texture_region: pixel data extends past the end of WASM memory');
+        return;
+    }
+
+    // Pending draws may sample the region being replaced (e.g. the font atlas)
+    flushBatch();
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const data = pixelDataView(buffer, data_ptr, textureFormat, h * stride);
+
+    clearGLErrors();
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, stride);
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, x);
+    
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, w, h, textureFormat.format, textureFormat.type, data);
+    
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 0);
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
+
+    if (info.flags & OS_Texture_Flag.MIPMAPS) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, currentTexture);
+
+    reportGLError(`webgl_update_texture_region: texture ${handle}`);
+}
+
+/**
+ * @param {number} handle - Texture handle to bind (0 to unbind)
+ */
+function webgl_set_texture(handle, pixel_format) {
+    if (handle !== 0) {
+        const texture = textureMap.get(handle);
+        if (texture) {
+            if (texture !== currentTexture || pixel_format !== currentTexturePixelFormat) {
+                flushBatch();
+            }
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            currentTexture = texture;
+            currentTexturePixelFormat = pixel_format;
+        }
+    } else {
+        if (currentTexture !== null) {
+            flushBatch();
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        currentTexture = null;
+    }
+}
+
+// ============================================================================
+// User Shader Programs
+// ============================================================================
+
+/**
+ * Programs created from WASM, by handle (0 is the built-in program)
+ * @type {Map<number, ProgramInfo>}
+ */
+let programMap = new Map();
+let nextProgramHandle = 1;
+
+/**
+ * Uniform locations handed to WASM, by handle
+ * @type {Map<number, {program: ProgramInfo, location: WebGLUniformLocation}>}
+ */
+let uniformMap = new Map();
+let nextUniformHandle = 1;
+
+/**
+ * Compiles and links a program from GLSL source in WASM memory
+ * Vertex attributes must be named vert_pos, color and uv. The uniforms proj,
+ * model, u_texture, u_use_texture and is_text are optional and are set the same
+ * way as for the built-in program. Both GLSL ES 1.00 and 3.00 work.
+ * @param {number} vs_ptr - Pointer to vertex shader source
+ * @param {number} vs_len - Length of vertex shader source
+ * @param {number} fs_ptr - Pointer to fragment shader source
+ * @param {number} fs_len - Length of fragment shader source
+ * @returns {number} Program handle, or 0 on error (see webgl_get_shader_error)
+ */
+function webgl_create_program(vs_ptr, vs_len, fs_ptr, fs_len) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const vert = cstr_by_ptr(buffer, vs_ptr, vs_len);
+    const frag = cstr_by_ptr(buffer, fs_ptr, fs_len);
+
+    flushBatch();
+    lastShaderError = '';
+    const shaderProgram = initShaderProgram(vert, frag);
+    if (!shaderProgram) {
+        return 0;
+    }
+
+    const info = createProgramInfo(shaderProgram);
+    info.uniformHandles = new Map();
+    const handle = nextProgramHandle++;
+    programMap.set(handle, info);
+    return handle;
+}
+
+/**
+ * Copies the last shader compile or link error into WASM memory
+ * @param {number} dest_ptr - Destination pointer in WASM memory
+ * @param {number} max_size - Maximum bytes to copy
+ * @returns {number} Actual number of bytes copied, 0 if there was no error
+ */
+function webgl_get_shader_error(dest_ptr, max_size) {
+    const message = new TextEncoder().encode(lastShaderError);
+    const buffer = wasm.instance.exports.memory.buffer;
+    const bytesToCopy = Math.min(message.length, max_size);
+    new Uint8Array(buffer, dest_ptr, bytesToCopy).set(message.subarray(0, bytesToCopy));
+    return bytesToCopy;
+}
+
+/**
+ * Selects the program for following draws
+ * @param {number} handle - Program handle, 0 for the built-in program
+ */
+function webgl_use_program(handle) {
+    const info = handle === 0 ? programInfo : programMap.get(handle);
+    if (!info) {
+        console.warn(`webgl_use_program: unknown program ${handle}`);
+        return;
+    }
+    if (info !== activeProgramInfo) {
+        flushBatch();
+        activeProgramInfo = info;
+    }
+}
+
+/**
+ * Deletes a program created with webgl_create_program
+ * If it is in use, draws go back to the built-in program.
+ * @param {number} handle - Program handle
+ */
+function webgl_delete_program(handle) {
+    const info = programMap.get(handle);
+    if (!info) return;
+
+    flushBatch();
+    if (activeProgramInfo === info) {
+        activeProgramInfo = programInfo;
+    }
+    if (currentProgram === info.program) {
+        currentProgram = null;
+    }
+    for (const uniformHandle of info.uniformHandles.values()) {
+        uniformMap.delete(uniformHandle);
+    }
+    gl.deleteProgram(info.program);
+    programMap.delete(handle);
+}
+
+/**
+ * Looks up a uniform of a user program
+ * @param {number} program_handle - Program handle
+ * @param {number} name_ptr - Pointer to uniform name in WASM memory
+ * @param {number} name_len - Length of uniform name
+ * @returns {number} Uniform handle, or 0 if the program has no active uniform with that name
+ */
+function webgl_get_uniform_location(program_handle, name_ptr, name_len) {
+    const info = programMap.get(program_handle);
+    if (!info) return 0;
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const name = cstr_by_ptr(buffer, name_ptr, name_len);
+
+    let handle = info.uniformHandles.get(name);
+    if (handle === undefined) {
+        const location = gl.getUniformLocation(info.program, name);
+        if (!location) return 0;
+
+        handle = nextUniformHandle++;
+        uniformMap.set(handle, { program: info, location });
+        info.uniformHandles.set(name, handle);
+    }
+    return handle;
+}
+
+/**
+ * Makes a uniform's program current so gl.uniform* applies to it
+ * Flushes pending draws first, they were made with the old value.
+ * @param {number} handle - Uniform handle
+ * @returns {WebGLUniformLocation | null} Location, or null for an unknown handle
+ */
+function bindUniform(handle) {
+    const uniform = uniformMap.get(handle);
+    if (!uniform) {
+        return null;
+    }
+
+    flushBatch();
+    if (currentProgram !== uniform.program.program) {
+        gl.useProgram(uniform.program.program);
+        currentProgram = uniform.program.program;
+    }
+    return uniform.location;
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} x
+ */
+function webgl_set_uniform_float(handle, x) {
+    const location = bindUniform(handle);
+    if (location) gl.uniform1f(location, x);
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} x
+ * @param {number} y
+ */
+function webgl_set_uniform_vec2(handle, x, y) {
+    const location = bindUniform(handle);
+    if (location) gl.uniform2f(location, x, y);
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ */
+function webgl_set_uniform_vec3(handle, x, y, z) {
+    const location = bindUniform(handle);
+    if (location) gl.uniform3f(location, x, y, z);
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number} w
+ */
+function webgl_set_uniform_vec4(handle, x, y, z, w) {
+    const location = bindUniform(handle);
+    if (location) gl.uniform4f(location, x, y, z, w);
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} mat - Pointer to a 4x4 matrix (16 floats) in WASM memory
+ */
+function webgl_set_uniform_mat4(handle, mat) {
+    const location = bindUniform(handle);
+    if (location) gl.uniformMatrix4fv(location, false, float32_array_by_ptr(mat, 16));
+}
+
+/**
+ * @param {number} handle - Uniform handle
+ * @param {number} value
+ */
+function webgl_set_uniform_int(handle, value) {
+    const location = bindUniform(handle);
+    if (location) gl.uniform1i(location, value);
+}
+
+/**
+ * Binds a texture to a texture unit and points a sampler uniform at it
+ * Unit 0 belongs to webgl_set_texture, use units 1 and up for extra textures.
+ * @param {number} handle - Uniform handle
+ * @param {number} unit - Texture unit
+ * @param {number} texture_handle - Texture handle (0 to unbind)
+ */
+function webgl_set_uniform_sampler(handle, unit, texture_handle) {
+    const location = bindUniform(handle);
+    if (!location) return;
+
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture_handle !== 0 ? textureMap.get(texture_handle) || null : null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(location, unit);
+}
+
+// ============================================================================
+// Render Targets
+// ============================================================================
+
+/**
+ * Offscreen render target
+ * @typedef {Object} RenderTarget
+ * @property {WebGLFramebuffer} framebuffer
+ * @property {WebGLTexture} texture - Color attachment, also registered in textureMap
+ * @property {WebGLRenderbuffer} stencil - 8-bit stencil attachment
+ * @property {number[][]} scissorStack - Scissor rectangles pushed while drawing to the target
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Render targets by handle; a target's handle is also its color texture's handle
+ * @type {Map<number, RenderTarget>}
+ */
+let renderTargetMap = new Map();
+
+/**
+ * Target draws go to, null for the canvas
+ * @type {RenderTarget | null}
+ */
+let currentRenderTarget = null;
+
+/**
+ * Last viewport set while drawing to the canvas, restored when switching back to it
+ * @type {number[] | null}
+ */
+let canvasViewport = null;
+
+/**
+ * Creates an offscreen render target with an RGBA color texture
+ * The returned handle works as a texture handle too, e.g. with webgl_set_texture.
+ * Row 0 of the texture is the bottom of what was drawn, like the canvas itself.
+ * Destroy it with webgl_destroy_texture.
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {number} filter - Filter mode used when sampling the texture (0=nearest, 1=linear)
+ * @returns {number} Render target handle, or 0 on error
+ */
+function webgl_create_render_target(width, height, filter) {
+    const handle = webgl_create_texture(0, width, height, PixelFormat.RGBA, filter);
+    if (!handle) return 0;
+    const texture = textureMap.get(handle);
+
+    const stencil = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, stencil);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.STENCIL_INDEX8, width, height);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.STENCIL_ATTACHMENT, gl.RENDERBUFFER, stencil);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, currentRenderTarget ? currentRenderTarget.framebuffer : null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error(`webgl_create_render_target: framebuffer incomplete (0x${status.toString(16)})`);
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteRenderbuffer(stencil);
+        webgl_destroy_texture(handle);
+        return 0;
+    }
+
+    renderTargetMap.set(handle, { framebuffer, texture, stencil, scissorStack: [], width, height });
+    return handle;
+}
+
+/**
+ * Directs following draws and clears to a render target
+ * The viewport is set to cover the whole target. Binding 0 goes back to the
+ * canvas and restores its viewport. Each target keeps its own scissor stack.
+ * A target's texture can't be sampled while the target is bound.
+ * @param {number} handle - Render target handle (0 for the canvas)
+ */
+function webgl_bind_render_target(handle) {
+    const target = handle !== 0 ? renderTargetMap.get(handle) : null;
+    if (handle !== 0 && !target) {
+        console.warn(`webgl_bind_render_target: unknown render target ${handle}`);
+        return;
+    }
+    if (target === currentRenderTarget) {
+        return;
+    }
+
+    flushBatch();
+    currentRenderTarget = target;
+    if (target) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        const viewport = canvasViewport || [0, 0, canvas.width, canvas.height];
+        gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+    }
+    applyScissor();
+}
+
+/**
+ * Deletes a render target's framebuffer, leaving its texture to the caller
+ * @param {number} handle - Render target handle
+ */
+function destroyRenderTarget(handle) {
+    const target = renderTargetMap.get(handle);
+    if (!target) return;
+
+    if (currentRenderTarget === target) {
+        webgl_bind_render_target(0);
+    }
+    gl.deleteFramebuffer(target.framebuffer);
+    gl.deleteRenderbuffer(target.stencil);
+    renderTargetMap.delete(handle);
+}
+
+// ============================================================================
+// Blend, Scissor and Stencil State
+// ============================================================================
+
+/**
+ * @readonly
+ * @enum {number}
+ */
+const OS_Blend_Mode = {
+    ALPHA: 0,         // Straight alpha (default)
+    PREMULTIPLIED: 1, // Color already multiplied by alpha
+    ADDITIVE: 2,
+    MULTIPLY: 3,
+    NONE: 4,          // Overwrite the destination
+};
+
+let currentBlendMode = -1;
+
+/**
+ * Scissor rectangles pushed while drawing to the canvas, as [x, y, w, h] in
+ * WASM coordinates (top-left origin); flipped for GL when applied so they stay
+ * correct if the canvas is resized
+ * @type {number[][]}
+ */
+let canvasScissorStack = [];
+
+/**
+ * @param {number} mode - OS_Blend_Mode value
+ */
+function webgl_set_blend_mode(mode) {
+    if (mode === currentBlendMode) return;
+
+    flushBatch();
+    switch (mode) {
+        case OS_Blend_Mode.ALPHA:
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            break;
+        case OS_Blend_Mode.PREMULTIPLIED:
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            break;
+        case OS_Blend_Mode.ADDITIVE:
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+            break;
+        case OS_Blend_Mode.MULTIPLY:
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.DST_COLOR, gl.ONE_MINUS_SRC_ALPHA);
+            break;
+        case OS_Blend_Mode.NONE:
+            gl.disable(gl.BLEND);
+            break;
+        default:
+            console.warn(`webgl_set_blend_mode: unknown blend mode ${mode}`);
+            return;
+    }
+    currentBlendMode = mode;
+}
+
+/**
+ * @returns {number[][]} Scissor stack of the current render target
+ */
+function currentScissorStack() {
+    return currentRenderTarget ? currentRenderTarget.scissorStack : canvasScissorStack;
+}
+
+/**
+ * Sets GL scissor state from the top of the current scissor stack
+ */
+function applyScissor() {
+    const stack = currentScissorStack();
+    if (stack.length === 0) {
+        gl.disable(gl.SCISSOR_TEST);
+        return;
+    }
+    const [x, y, width, height] = stack[stack.length - 1];
+    // Flip to GL's bottom-left origin
+    const targetHeight = currentRenderTarget ? currentRenderTarget.height : canvas.height;
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(x, targetHeight - (y + height), width, height);
+}
+
+/**
+ * Restricts drawing and clearing to a rectangle, intersected with the enclosing one
+ * @param {number} x - Left edge in pixels of the current target
+ * @param {number} y - Top edge in pixels of the current target
+ * @param {number} width
+ * @param {number} height
+ */
+function webgl_push_scissor(x, y, width, height) {
+    flushBatch();
+
+    let left = x;
+    let top = y;
+    let right = x + width;
+    let bottom = y + height;
+
+    const stack = currentScissorStack();
+    if (stack.length > 0) {
+        const outer = stack[stack.length - 1];
+        left = Math.max(left, outer[0]);
+        top = Math.max(top, outer[1]);
+        right = Math.min(right, outer[0] + outer[2]);
+        bottom = Math.min(bottom, outer[1] + outer[3]);
+    }
+
+    stack.push([left, top, Math.max(0, right - left), Math.max(0, bottom - top)]);
+    applyScissor();
+}
+
+/**
+ * Restores the scissor rectangle from before the last webgl_push_scissor
+ */
+function webgl_pop_scissor() {
+    const stack = currentScissorStack();
+    if (stack.length === 0) {
+        console.warn('webgl_pop_scissor: scissor stack is empty');
+        return;
+    }
+    flushBatch();
+    stack.pop();
+    applyScissor();
+}
+
+/**
+ * Clears the stencil buffer of the current target (within the scissor rectangle)
+ * @param {number} value - Stencil value to fill with (0-255)
+ */
+function webgl_stencil_clear(value) {
+    flushBatch();
+    gl.stencilMask(0xFF);
+    gl.clearStencil(value);
+    gl.clear(gl.STENCIL_BUFFER_BIT);
+}
+
+/**
+ * Starts drawing a mask: following draws write `ref` into the stencil buffer
+ * and leave the color untouched
+ * @param {number} ref - Stencil value to write (0-255)
+ */
+function webgl_stencil_begin_write(ref) {
+    flushBatch();
+    gl.enable(gl.STENCIL_TEST);
+    gl.stencilMask(0xFF);
+    gl.stencilFunc(gl.ALWAYS, ref, 0xFF);
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.REPLACE);
+    gl.colorMask(false, false, false, false);
+}
+
+/**
+ * Starts drawing masked content: following draws only touch pixels whose
+ * stencil value is `ref` (or is not, when inverted)
+ * @param {number} ref - Stencil value to compare with (0-255)
+ * @param {number} invert - 0 to draw inside the mask, 1 to draw outside it
+ */
+function webgl_stencil_begin_test(ref, invert) {
+    flushBatch();
+    gl.enable(gl.STENCIL_TEST);
+    gl.stencilMask(0x00);
+    gl.stencilFunc(invert ? gl.NOTEQUAL : gl.EQUAL, ref, 0xFF);
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+    gl.colorMask(true, true, true, true);
+}
+
+/**
+ * Turns stencil writing and testing off
+ */
+function webgl_stencil_end() {
+    flushBatch();
+    gl.disable(gl.STENCIL_TEST);
+    gl.stencilMask(0xFF);
+    gl.colorMask(true, true, true, true);
+}
+
+// ============================================================================
+// WebGL Rendering Functions
+// ============================================================================
+
+/**
+ * @param {number} r - Red component (0.0 to 1.0)
+ * @param {number} g - Green component (0.0 to 1.0)
+ * @param {number} b - Blue component (0.0 to 1.0)
+ */
+function webgl_clear(r, g, b) {
+    flushBatch();
+    gl.clearColor(r, g, b, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+}
+
+/**
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {boolean} True if both 4x4 matrices hold the same values
+ */
+function matricesEqual(a, b) {
+    for (let i = 0; i < 16; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * @param {number} mat - Pointer to a 4x4 matrix (16 floats) in WASM memory
+ */
+function webgl_set_matrix_projection(mat) {
+    const source = float32_array_by_ptr(mat, 16);
+    // Keep the same array for identical matrices so the upload can be skipped
+    if (!matricesEqual(matProj, source)) {
+        flushBatch();
+        matProj = new Float32Array(source);
+    }
+}
+
+/**
+ * @param {number} mat - Pointer to a 4x4 matrix (16 floats) in WASM memory
+ */
+function webgl_set_matrix_model(mat) {
+    const source = float32_array_by_ptr(mat, 16);
+    if (!matricesEqual(matModel, source)) {
+        flushBatch();
+        matModel = new Float32Array(source);
+    }
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function webgl_viewport(x, y, width, height) {
+    if (gl) {
+        flushBatch();
+        gl.viewport(x, y, width, height);
+        if (!currentRenderTarget) {
+            canvasViewport = [x, y, width, height];
+        }
+    }
+}
+
+/**
+ * @param {number} count - Number of vertices to draw
+ * @param {number} vert_data - Pointer to vertex position data
+ * @param {number} vert_size - Number of components per vertex (2 or 3)
+ * @param {number} vert_stride - Byte stride between vertices
+ * @param {number} vert_offset - Byte offset to first vertex
+ * @param {number} _uv_data - Pointer to UV coordinate data (unused, uses same buffer)
+ * @param {number} uv_stride - Byte stride between UV coordinates
+ * @param {number} uv_offset - Byte offset to first UV coordinate
+ * @param {number} _color_data - Pointer to color data (unused, uses same buffer)
+ * @param {number} color_stride - Byte stride between colors
+ * @param {number} color_offset - Byte offset to first color
+ * @param {number} color_is_float - Whether color data is float (0=byte, 1=float)
+ */
+function webgl_draw_vertex_buffer(
+    count,
+    vert_data,
+    vert_size,
+    vert_stride,
+    vert_offset,
+    _uv_data,
+    uv_stride,
+    uv_offset,
+    _color_data,
+    color_stride,
+    color_offset,
+    color_is_float,
+) {
+    const buffer = wasm.instance.exports.memory.buffer;
+    const packed = packVertices(
+        buffer, count, vert_data, vert_size, vert_stride, vert_offset,
+        uv_stride, uv_offset, color_stride, color_offset, color_is_float,
+    );
+    const layout = makeVertexLayout(
+        vert_size, packed.stride, packed.vert_offset, packed.stride, packed.uv_offset, packed.stride, packed.color_offset, color_is_float,
+    );
+    if (pendingBatch && (pendingBatch.layout.key !== layout.key || pendingBatch.indexOffset >= 0)) {
+        flushBatch();
+    }
+
+    const first = uploadVertices(packed.data, packed.stride);
+    renderStats.submittedDraws++;
+
+    // Same state and layout, and the vertices landed right after the batch: extend it
+    if (pendingBatch && first === pendingBatch.first + pendingBatch.count) {
+        pendingBatch.count += count;
+        return;
+    }
+
+    flushBatch();
+    pendingBatch = {
+        program: activeProgramInfo,
+        layout,
+        mode: gl.TRIANGLES,
+        first,
+        count,
+        indexOffset: -1,
+    };
+}
+
+/**
+ * Indexed draw with a choice of primitive
+ * Takes the same vertex parameters as webgl_draw_vertex_buffer, with indices
+ * counting from the first vertex at vert_data. Triangle, line and point lists
+ * batch with neighbouring draws; strips and fans are drawn on their own.
+ * @param {number} primitive - OS_Primitive value
+ * @param {number} count - Number of vertices to upload
+ * @param {number} vert_data - Pointer to vertex position data
+ * @param {number} vert_size - Number of components per vertex (2 or 3)
+ * @param {number} vert_stride - Byte stride between vertices
+ * @param {number} vert_offset - Byte offset to first vertex
+ * @param {number} _uv_data - Pointer to UV coordinate data (unused, uses same buffer)
+ * @param {number} uv_stride - Byte stride between UV coordinates
+ * @param {number} uv_offset - Byte offset to first UV coordinate
+ * @param {number} _color_data - Pointer to color data (unused, uses same buffer)
+ * @param {number} color_stride - Byte stride between colors
+ * @param {number} color_offset - Byte offset to first color
+ * @param {number} color_is_float - Whether color data is float (0=byte, 1=float)
+ * @param {number} index_data - Pointer to index data in WASM memory
+ * @param {number} index_count - Number of indices
+ * @param {number} index_size - Bytes per index (2=u16, 4=u32)
+ */
+function webgl_draw_indexed_vertex_buffer(
+    primitive,
+    count,
+    vert_data,
+    vert_size,
+    vert_stride,
+    vert_offset,
+    _uv_data,
+    uv_stride,
+    uv_offset,
+    _color_data,
+    color_stride,
+    color_offset,
+    color_is_float,
+    index_data,
+    index_count,
+    index_size,
+) {
+    const mode = glPrimitiveMode(primitive);
+    if (mode === undefined) {
+        console.error(`webgl_draw_indexed_vertex_buffer: unknown primitive ${primitive}`);
+        return;
+    }
+    if (index_size !== 2 && index_size !== 4) {
+        console.error(`webgl_draw_indexed_vertex_buffer: index size must be 2 or 4, got ${index_size}`);
+        return;
+    }
+
+    const buffer = wasm.instance.exports.memory.buffer;
+    const IndexArray = index_size === 2 ? Uint16Array : Uint32Array;
+    // Typed array views need aligned pointers, copy misaligned indices out first
+    const source = index_data % index_size === 0
+        ? new IndexArray(buffer, index_data, index_count)
+        : new IndexArray(new Uint8Array(buffer, index_data, index_count * index_size).slice().buffer);
+    for (let i = 0; i < index_count; i++) {
+        if (source[i] >= count) {
+            console.error(`webgl_draw_indexed_vertex_buffer: index ${source[i]} out of range for ${count} vertices`);
+            return;
+        }
+    }
+
+    const packed = packVertices(
+        buffer, count, vert_data, vert_size, vert_stride, vert_offset,
+        uv_stride, uv_offset, color_stride, color_offset, color_is_float,
+    );
+    const layout = makeVertexLayout(
+        vert_size, packed.stride, packed.vert_offset, packed.stride, packed.uv_offset, packed.stride, packed.color_offset, color_is_float,
+    );
+    if (pendingBatch && (pendingBatch.layout.key !== layout.key || pendingBatch.mode !== mode || pendingBatch.indexOffset < 0)) {
+        flushBatch();
+    }
+
+    const first = uploadVertices(packed.data, packed.stride);
+
+    // Indices are rebased onto where the vertices landed so batches can share one drawElements.
+    // 16-bit indices stay 16-bit unless the rebased values no longer fit (0xFFFF is
+    // the primitive restart index, which WebGL2 always has enabled).
+    const wide = index_size === 4 || first + count > 0xFFFF;
+    const indices = wide ? new Uint32Array(index_count) : new Uint16Array(index_count);
+    for (let i = 0; i < index_count; i++) {
+        indices[i] = source[i] + first;
+    }
+    const indexType = wide ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    const indexOffset = uploadIndices(indices);
+    renderStats.submittedDraws++;
+
+    const batchable = mode === gl.TRIANGLES || mode === gl.LINES || mode === gl.POINTS;
+    if (batchable && pendingBatch && pendingBatch.indexType === indexType &&
+        indexOffset === pendingBatch.indexOffset + pendingBatch.count * indices.BYTES_PER_ELEMENT) {
+        pendingBatch.count += index_count;
+        return;
+    }
+
+    flushBatch();
+    pendingBatch = {
+        program: activeProgramInfo,
+        layout,
+        mode,
+        first,
+        count: index_count,
+        indexOffset,
+        indexType,
+    };
+}
+
+/**
+ * Looks up the locations of a linked program and points its sampler at texture unit 0
+ * @param {WebGLProgram} shaderProgram - Linked program
+ * @returns {ProgramInfo}
+ */
+function createProgramInfo(shaderProgram) {
+    const info = {
+        program: shaderProgram,
+        attribLocations: {
+            vertexPosition: gl.getAttribLocation(shaderProgram, "vert_pos"),
+            color: gl.getAttribLocation(shaderProgram, "color"),
+            uv: gl.getAttribLocation(shaderProgram, "uv"),
+        },
+        uniformLocations: {
+            projectionMatrix: gl.getUniformLocation(shaderProgram, "proj"),
+            modelViewMatrix: gl.getUniformLocation(shaderProgram, "model"),
+            texture: gl.getUniformLocation(shaderProgram, "u_texture"),
+            useTexture: gl.getUniformLocation(shaderProgram, "u_use_texture"),
+            isText: gl.getUniformLocation(shaderProgram, "is_text"),
+        },
+        uploaded: { proj: null, model: null, useTexture: -1, isText: -1 },
+    };
+
+    gl.useProgram(shaderProgram);
+    currentProgram = shaderProgram;
+    gl.uniform1i(info.uniformLocations.texture, 0); // Use texture unit 0
+
+    return info;
+}
+
+function webgl_init() {
+    const shaderProgram = initShaderProgram(vsSource, fsSource);
+    programInfo = createProgramInfo(shaderProgram);
+    activeProgramInfo = programInfo;
+
+    initVertexBuffer();
+
+    webgl_set_blend_mode(OS_Blend_Mode.ALPHA);
+    gl.disable(gl.DEPTH_TEST);
+}
+
+
+// ============================================================================
+// Input Recording and Replay
+// ============================================================================
+//
+// ?record        records every delivered event and every js_performance_now
+//                value; the log is saved with the "Download Recording" button
+//                or js_input_recording_download
+// ?replay=<url>  feeds a recorded log back frame by frame, ignoring live input,
+//                then returns to live input when the log ends
+//
+// Log format (little-endian):
+//   header: u32 magic 'SWRL', u32 format version, u32 frame count
+//   frame:  u32 now count, u32 event count, f64 nows[now count], events
+//   event:  i32 type, x, y, pressed, key, u32 modifiers, flags, f64 time,
+//           f32 fx, fy, u32 payload length, payload bytes,
+//           u32 file length, file bytes
+//           (format version 1 has no fx/fy)
+// Frame 0 holds the js_performance_now calls made during wasm_main.
+// Recording stops after maxRecordedFrames frames to bound memory use.
+// Payloads (pasted text, imported file paths) are recorded, and FILE_DROP
+// events also carry the imported file's contents so replays can read it.
+// Frames only advance in the rAF loop; extra frames run to deliver lifecycle
+// events are recorded in sequence and skipped during replay.
+
+/**
+ * @readonly
+ * @enum {number}
+ */
+const InputMode = {
+    LIVE: 0,
+    RECORD: 1,
+    REPLAY: 2,
+};
+
+/** @type {number} */
+let inputMode = InputMode.LIVE;
+
+const recordingMagic = 0x4C525753; // 'SWRL'
+const recordingFormatVersion = 2;
+
+/**
+ * A recorded frame: js_performance_now results and delivered events (with payload bytes)
+ * @typedef {Object} RecordedFrame
+ * @property {number[]} nows
+ * @property {Array<Object>} events
+ */
+
+/** @type {RecordedFrame[]} */
+let recordedFrames = [];
+
+/**
+ * Frame being captured, moved to recordedFrames when the next frame begins
+ * @type {RecordedFrame}
+ */
+let recordingFrame = { nows: [], events: [] };
+
+/** Recording length limit, 30 minutes at 60 fps */
+const maxRecordedFrames = 60 * 60 * 30;
+
+/** Set once maxRecordedFrames is reached; the log can still be downloaded */
+let recordingFull = false;
+
+/** @type {RecordedFrame[]} */
+let replayFrames = [];
+let replayFrameIndex = 0;
+let replayNowIndex = 0;
+
+/**
+ * Selects the input mode from the URL and loads the replay log if requested
+ * @returns {Promise<void>}
+ */
+async function setupInputRecording() {
+    const params = new URLSearchParams(location.search);
+
+    if (params.has('replay')) {
+        const url = params.get('replay');
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            replayFrames = parseInputRecording(await response.arrayBuffer());
+            inputMode = InputMode.REPLAY;
+            console.log(`Replaying ${url} (${replayFrames.length} frames)`);
+        } catch (error) {
+            console.error(`Error loading replay ${url}:`, error);
+        }
+    } else if (params.has('record')) {
+        inputMode = InputMode.RECORD;
+        document.getElementById('recording-btn').hidden = false;
+        console.log('Recording input');
+    }
+}
+
+/**
+ * Records or replays a js_performance_now result
+ * @param {number} now - Live performance.now() value
+ * @returns {number} The value to hand to WASM
+ */
+function recordOrReplayNow(now) {
+    if (inputMode === InputMode.RECORD) {
+        if (!recordingFull) {
+            recordingFrame.nows.push(now);
+        }
+    } else if (inputMode === InputMode.REPLAY) {
+        const frame = replayFrames[replayFrameIndex];
+        if (frame && replayNowIndex < frame.nows.length) {
+            return frame.nows[replayNowIndex++];
+        }
+    }
+    return now;
+}
+
+/**
+ * Starts a new recorded frame, closing the previous one
+ */
+function beginRecordedFrame() {
+    if (recordingFull) return;
+
+    recordedFrames.push(recordingFrame);
+    recordingFrame = { nows: [], events: [] };
+    if (recordedFrames.length >= maxRecordedFrames) {
+        recordingFull = true;
+        console.warn(`Input recording stopped after ${maxRecordedFrames} frames, download it to keep it`);
+    }
+}
+
+/**
+ * Records the events about to be delivered in the current frame
+ * @param {number} count - Number of events written by writeEventsToWASM
+ */
+function recordDeliveredEvents(count) {
+    if (recordingFull) return;
+
+    for (let i = 0; i < count; i++) {
+        const event = eventQueue[i];
+        const payload = event.payloadId !== undefined ? eventPayloads.get(event.payloadId) : null;
+        let file = null;
+        if (event.type === OS_Window_Event_Type.FILE_DROP && payload) {
+            file = preloadedFiles.get(new TextDecoder().decode(payload)) || null;
+        }
+        recordingFrame.events.push({ ...event, payload: payload || null, file });
+    }
+}
+
+/**
+ * Replaces the event queue with the next recorded frame
+ * Switches back to live input once the log is exhausted.
+ */
+function loadNextReplayFrame() {
+    replayFrameIndex++;
+    replayNowIndex = 0;
+
+    if (replayFrameIndex >= replayFrames.length) {
+        console.log('Replay finished, switching to live input');
+        inputMode = InputMode.LIVE;
+        return;
+    }
+
+    eventQueue = [];
+    eventPayloads.clear();
+    for (const recorded of replayFrames[replayFrameIndex].events) {
+        const event = { ...recorded };
+        delete event.payload;
+        delete event.file;
+        if (recorded.payload) {
+            const id = nextEventPayloadId++;
+            eventPayloads.set(id, recorded.payload);
+            event.payloadId = id;
+            event.key = id;
+        }
+        if (recorded.file) {
+            preloadedFiles.set(new TextDecoder().decode(recorded.payload), recorded.file);
+        }
+        eventQueue.push(event);
+    }
+}
+
+/**
+ * Encodes the recorded frames, including the one being captured, into the binary log format
+ * @returns {ArrayBuffer}
+ */
+function serializeInputRecording() {
+    const frames = recordingFull ? recordedFrames : recordedFrames.concat([recordingFrame]);
+
+    let size = 12;
+    for (const frame of frames) {
+        size += 8 + frame.nows.length * 8;
+        for (const event of frame.events) {
+            size += 52 + (event.payload ? event.payload.length : 0) + (event.file ? event.file.length : 0);
+        }
+    }
+
+    const data = new ArrayBuffer(size);
+    const view = new DataView(data);
+    const bytes = new Uint8Array(data);
+    let offset = 0;
+
+    view.setUint32(offset, recordingMagic, true); offset += 4;
+    view.setUint32(offset, recordingFormatVersion, true); offset += 4;
+    view.setUint32(offset, frames.length, true); offset += 4;
+
+    for (const frame of frames) {
+        view.setUint32(offset, frame.nows.length, true); offset += 4;
+        view.setUint32(offset, frame.events.length, true); offset += 4;
+        for (const now of frame.nows) {
+            view.setFloat64(offset, now, true); offset += 8;
+        }
+        for (const event of frame.events) {
+            view.setInt32(offset + 0, event.type, true);
+            view.setInt32(offset + 4, event.x, true);
+            view.setInt32(offset + 8, event.y, true);
+            view.setInt32(offset + 12, event.pressed, true);
+            view.setInt32(offset + 16, event.key, true);
+            view.setUint32(offset + 20, event.modifiers, true);
+            view.setUint32(offset + 24, event.flags, true);
+            view.setFloat64(offset + 28, event.time, true);
+            view.setFloat32(offset + 36, event.fx, true);
+            view.setFloat32(offset + 40, event.fy, true);
+            const payloadLength = event.payload ? event.payload.length : 0;
+            view.setUint32(offset + 44, payloadLength, true);
+            offset += 48;
+            if (event.payload) {
+                bytes.set(event.payload, offset);
+                offset += payloadLength;
+            }
+            const fileLength = event.file ? event.file.length : 0;
+            view.setUint32(offset, fileLength, true); offset += 4;
+            if (event.file) {
+                bytes.set(event.file, offset);
+                offset += fileLength;
+            }
+        }
     }
 
-    return handle;
+    return data;
 }
 
 /**
- * @param {number} handle - Texture handle to destroy
+ * Decodes a binary input log
+ * @param {ArrayBuffer} data - Log contents
+ * @returns {RecordedFrame[]}
  */
-function webgl_destroy_texture(handle) {
-    const texture = textureMap.get(handle);
-    if (texture) {
-        gl.deleteTexture(texture);
-        textureMap.delete(handle);
+function parseInputRecording(data) {
+    const view = new DataView(data);
+    let offset = 0;
+
+    if (view.getUint32(0, true) !== recordingMagic) {
+        throw new Error('Not an input recording');
     }
-}
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > recordingFormatVersion) {
+        throw new Error(`Unsupported input recording version ${version}`);
+    }
+    const hasFloats = version >= 2;
+    const eventSize = hasFloats ? 48 : 40;
+    const frameCount = view.getUint32(8, true);
+    offset = 12;
 
-/**
- * @param {number} handle - Texture handle to update
- * @param {number} data_ptr - Pointer to pixel data in WASM memory
- * @param {number} stride - Row stride (width) of source data
- * @param {number} x - X offset in texture
- * @param {number} y - Y offset in texture
- * @param {number} w - Width of region to update
- * @param {number} h - Height of region to update
- * @param {number} pixel_format - Pixel format of the data
- */
-function webgl_update_texture_region(handle, data_ptr, stride, x, y, w, h, pixel_format) {
-    const texture = textureMap.get(handle);
-    if (!texture) return;
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+        const nowCount = view.getUint32(offset, true); offset += 4;
+        const eventCount = view.getUint32(offset, true); offset += 4;
 
-    gl.bindTexture(gl.TEXTURE_2D, texture);
+        const nows = [];
+        for (let i = 0; i < nowCount; i++) {
+            nows.push(view.getFloat64(offset, true)); offset += 8;
+        }
 
-    const buffer = wasm.instance.exports.memory.buffer;
-    let glFormat;
-    let bytesPerPixel;
+        const events = [];
+        for (let i = 0; i < eventCount; i++) {
+            const payloadLength = view.getUint32(offset + eventSize - 4, true);
+            const payloadStart = offset + eventSize;
+            const fileLength = view.getUint32(payloadStart + payloadLength, true);
+            const fileStart = payloadStart + payloadLength + 4;
+            events.push({
+                type: view.getInt32(offset + 0, true),
+                x: view.getInt32(offset + 4, true),
+                y: view.getInt32(offset + 8, true),
+                pressed: view.getInt32(offset + 12, true),
+                key: view.getInt32(offset + 16, true),
+                modifiers: view.getUint32(offset + 20, true),
+                flags: view.getUint32(offset + 24, true),
+                time: view.getFloat64(offset + 28, true),
+                fx: hasFloats ? view.getFloat32(offset + 36, true) : 0,
+                fy: hasFloats ? view.getFloat32(offset + 40, true) : 0,
+                payload: payloadLength > 0 ? new Uint8Array(data.slice(payloadStart, payloadStart + payloadLength)) : null,
+                file: fileLength > 0 ? new Uint8Array(data.slice(fileStart, fileStart + fileLength)) : null,
+            });
+            offset = fileStart + fileLength;
+        }
 
-    switch (pixel_format) {
-        case PixelFormat.RGBA:
-            glFormat = gl.RGBA;
-            bytesPerPixel = 4;
-            break;
-        case PixelFormat.RGB:
-            glFormat = gl.RGB;
-            bytesPerPixel = 3;
-            break;
-        case PixelFormat.R:
-            glFormat = gl.RED;
-            bytesPerPixel = 1;
-            break;
-        case PixelFormat.ALPHA:
-            glFormat = gl.ALPHA;
-            bytesPerPixel = 1;
-            break;
+        frames.push({ nows, events });
     }
+    return frames;
+}
 
-    const dataSize = h * stride * bytesPerPixel;
-    const data = new Uint8Array(buffer, data_ptr, dataSize);
+/**
+ * Downloads the input recorded so far
+ */
+function downloadInputRecording() {
+    if (inputMode !== InputMode.RECORD) {
+        console.warn('Input recording is not active, add ?record to the URL');
+        return;
+    }
 
-    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, stride);
-    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, x);
-    
-    gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, w, h, glFormat, gl.UNSIGNED_BYTE, data);
-    
-    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 0);
-    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadBlob(new Blob([serializeInputRecording()], { type: 'application/octet-stream' }), `swar-session-${stamp}.swrl`);
 }
 
 /**
- * @param {number} handle - Texture handle to bind (0 to unbind)
+ * Downloads the input recorded so far (only while recording with ?record)
  */
-function webgl_set_texture(handle, pixel_format) {
-    if (handle !== 0) {
-        const texture = textureMap.get(handle);
-        if (texture) {
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-            currentTexture = texture;
-            currentTexturePixelFormat = pixel_format;
-        }
-    } else {
-        gl.bindTexture(gl.TEXTURE_2D, null);
-        currentTexture = null;
-    }
+function js_input_recording_download() {
+    downloadInputRecording();
 }
 
 // ============================================================================
-// WebGL Rendering Functions
+// Offline Support
 // ============================================================================
 
 /**
- * @param {number} r - Red component (0.0 to 1.0)
- * @param {number} g - Green component (0.0 to 1.0)
- * @param {number} b - Blue component (0.0 to 1.0)
+ * Registers the service worker and asks it to look for a newer deployment
+ * When any deployed file differs from the cached ones a notice with a
+ * reload button is shown.
  */
-function webgl_clear(r, g, b) {
-    gl.clearColor(r, g, b, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) {
+        return;
+    }
+
+    const notice = document.getElementById('update-notice');
+    const reloadBtn = document.getElementById('update-reload-btn');
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const type = event.data && event.data.type;
+        if (type === 'update-available') {
+            notice.hidden = false;
+        } else if (type === 'update-applied') {
+            location.reload();
+        }
+    });
+
+    reloadBtn.addEventListener('click', () => {
+        reloadBtn.disabled = true;
+        navigator.serviceWorker.controller.postMessage({ type: 'apply-update' });
+    });
+
+    navigator.serviceWorker.register('sw.js').then(() => {
+        // Without a controller this page came from the network, nothing to compare against
+        const controller = navigator.serviceWorker.controller;
+        if (controller) {
+            controller.postMessage({ type: 'check-update' });
+        }
+    }).catch((error) => {
+        console.error('Service worker registration failed:', error);
+    });
 }
 
+// ============================================================================
+// WASM Module Initialization and Main Loop
+// ============================================================================
+
 /**
- * @param {number} mat - Pointer to a 4x4 matrix (16 floats) in WASM memory
+ * Skip frames while the page is hidden; off unless WASM opts in with
+ * js_set_pause_when_hidden
+ * @type {boolean}
  */
-function webgl_set_matrix_projection(mat) {
-    const source = float32_array_by_ptr(mat, 16);
-    matProj = new Float32Array(source);
-}
+let pauseWhenHidden = false;
 
 /**
- * @param {number} mat - Pointer to a 4x4 matrix (16 floats) in WASM memory
+ * @param {number} enabled - Non-zero to stop calling wasm_frame while the page is hidden
  */
-function webgl_set_matrix_model(mat) {
-    const source = float32_array_by_ptr(mat, 16);
-    matModel = new Float32Array(source);
+function js_set_pause_when_hidden(enabled) {
+    pauseWhenHidden = enabled !== 0;
 }
 
 /**
- * @param {number} x
- * @param {number} y
- * @param {number} width
- * @param {number} height
+ * Runs a frame outside the rAF loop so lifecycle events are delivered right away
+ * Replays skip it, the recording already holds that frame in sequence.
  */
-function webgl_viewport(x, y, width, height) {
-    if (gl) {
-        gl.viewport(x, y, width, height);
+function runExtraFrame() {
+    if (inputMode !== InputMode.REPLAY) {
+        runFrame();
     }
 }
 
 /**
- * @param {number} count - Number of vertices to draw
- * @param {number} vert_data - Pointer to vertex position data
- * @param {number} vert_size - Number of components per vertex (2 or 3)
- * @param {number} vert_stride - Byte stride between vertices
- * @param {number} vert_offset - Byte offset to first vertex
- * @param {number} _uv_data - Pointer to UV coordinate data (unused, uses same buffer)
- * @param {number} uv_stride - Byte stride between UV coordinates
- * @param {number} uv_offset - Byte offset to first UV coordinate
- * @param {number} _color_data - Pointer to color data (unused, uses same buffer)
- * @param {number} color_stride - Byte stride between colors
- * @param {number} color_offset - Byte offset to first color
- * @param {number} color_is_float - Whether color data is float (0=byte, 1=float)
+ * Delivers queued events and runs one WASM frame
  */
-function webgl_draw_vertex_buffer(
-    count,
-    vert_data,
-    vert_size,
-    vert_stride,
-    vert_offset,
-    _uv_data,
-    uv_stride,
-    uv_offset,
-    _color_data,
-    color_stride,
-    color_offset,
-    color_is_float,
-) {
-    const bufferSizeBytes = count * vert_stride;
-    const bufferSizeFloats = bufferSizeBytes / 4;
-
-    const posBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, posBuffer);
-    gl.bufferData(
-        gl.ARRAY_BUFFER,
-        float32_array_by_ptr(vert_data, bufferSizeFloats),
-        gl.STREAM_DRAW,
-    );
-
-    gl.useProgram(programInfo.program);
-
-    gl.enableVertexAttribArray(programInfo.attribLocations.vertexPosition);
-    gl.vertexAttribPointer(
-        programInfo.attribLocations.vertexPosition,
-        vert_size,
-        gl.FLOAT,
-        false,
-        vert_stride,
-        vert_offset,
-    );
-
-    gl.enableVertexAttribArray(programInfo.attribLocations.color);
-    gl.vertexAttribPointer(
-        programInfo.attribLocations.color,
-        4,
-        gl.FLOAT,
-        false,
-        color_stride,
-        color_offset,
-    );
-
-    gl.enableVertexAttribArray(programInfo.attribLocations.uv);
-    gl.vertexAttribPointer(
-        programInfo.attribLocations.uv,
-        2,
-        color_is_float != 0 ? gl.FLOAT : gl.UNSIGNED_BYTE,
-        false,
-        uv_stride,
-        uv_offset,
-    );
-
-    gl.uniformMatrix4fv(programInfo.uniformLocations.projectionMatrix, false, matProj);
-    gl.uniformMatrix4fv(programInfo.uniformLocations.modelViewMatrix,  false, matModel);
-
-    gl.uniform1i(programInfo.uniformLocations.texture, 0); // Use texture unit 0
-    gl.uniform1i(programInfo.uniformLocations.useTexture, currentTexture !== null ? 1 : 0);
-    gl.uniform1i(programInfo.uniformLocations.isText, currentTexturePixelFormat === PixelFormat.ALPHA ? 1 : 0);
+function runFrame() {
+    if (!wasm || !wasm.instance.exports.wasm_frame) {
+        return;
+    }
 
-    gl.drawArrays(gl.TRIANGLES, 0, count);
+    if (inputMode === InputMode.REPLAY) {
+        loadNextReplayFrame();
+    } else {
+        pollGamepads();
+    }
+    if (inputMode === InputMode.RECORD) {
+        beginRecordedFrame();
+    }
 
-    gl.deleteBuffer(posBuffer);
-}
+    resetRenderStats();
 
-function webgl_init() {
-    const shaderProgram = initShaderProgram(vsSource, fsSource);
-    programInfo = {
-        program: shaderProgram,
-        attribLocations: {
-            vertexPosition: gl.getAttribLocation(shaderProgram, "vert_pos"),
-            color: gl.getAttribLocation(shaderProgram, "color"),
-            uv: gl.getAttribLocation(shaderProgram, "uv"),
-        },
-        uniformLocations: {
-            projectionMatrix: gl.getUniformLocation(shaderProgram, "proj"),
-            modelViewMatrix: gl.getUniformLocation(shaderProgram, "model"),
-            texture: gl.getUniformLocation(shaderProgram, "u_texture"),
-            useTexture: gl.getUniformLocation(shaderProgram, "u_use_texture"),
-            isText: gl.getUniformLocation(shaderProgram, "is_text"),
-        },
-    };
+    let delivered = 0;
+    if (eventQueue.length > 0) {
+        delivered = writeEventsToWASM();
+    }
+    if (inputMode === InputMode.RECORD) {
+        recordDeliveredEvents(delivered);
+    }
 
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    gl.disable(gl.DEPTH_TEST);
+    wasm.instance.exports.wasm_frame();
+    flushBatch();
+    removeDeliveredEvents(delivered);
 }
 
-
-// ============================================================================
-// WASM Module Initialization and Main Loop
-// ============================================================================
-
 async function init() {
     const memory = new WebAssembly.Memory({
         initial: 16,
         maximum: byte_to_wasm_pages(512*1024*1024),
     });
 
-    // Preload files before initializing WASM
-    await preloadFiles();
+    registerServiceWorker();
+
+    // Preload files, restore saved ones and load any replay log before initializing WASM
+    await Promise.all([preloadFiles(), restorePersistentFiles(), setupInputRecording()]);
 
     const response = await fetch("swar.wasm");
     const file = await response.arrayBuffer();
@@ -937,30 +4478,77 @@ async function init() {
             webgl_set_matrix_projection,
             webgl_set_matrix_model,
             webgl_draw_vertex_buffer,
+            webgl_draw_indexed_vertex_buffer,
             webgl_create_texture,
             webgl_destroy_texture,
             webgl_update_texture_region,
             webgl_set_texture,
             webgl_viewport,
+            webgl_create_render_target,
+            webgl_bind_render_target,
+            webgl_set_blend_mode,
+            webgl_push_scissor,
+            webgl_pop_scissor,
+            webgl_stencil_clear,
+            webgl_stencil_begin_write,
+            webgl_stencil_begin_test,
+            webgl_stencil_end,
+            webgl_create_program,
+            webgl_get_shader_error,
+            webgl_use_program,
+            webgl_delete_program,
+            webgl_get_uniform_location,
+            webgl_set_uniform_float,
+            webgl_set_uniform_vec2,
+            webgl_set_uniform_vec3,
+            webgl_set_uniform_vec4,
+            webgl_set_uniform_mat4,
+            webgl_set_uniform_int,
+            webgl_set_uniform_sampler,
+            webgl_get_draw_call_count,
+            webgl_get_submitted_draw_count,
+            webgl_get_upload_byte_count,
             
             // File system functions
             js_get_file_size,
             js_copy_file_to_wasm,
+            js_request_file,
+            js_write_file,
+            js_delete_file,
+            js_file_exists,
+            js_list_directory,
+            js_open_file_picker,
+            js_download_file,
+            js_download_preloaded_file,
+
+            // Input and event functions
+            js_get_event_payload,
+            js_set_text_input_active,
+            js_get_dropped_event_count,
+            js_gamepad_set_deadzone,
+            js_gamepad_get_name,
+            js_gamepad_rumble,
+            js_set_pause_when_hidden,
+            js_clipboard_write_text,
+            js_clipboard_request_text,
+            js_request_pointer_lock,
+            js_exit_pointer_lock,
+            js_is_pointer_locked,
+            js_input_recording_download,
+            js_set_cursor,
+            js_set_cursor_image,
         },
     });
     wasm.instance.exports.wasm_main();
+    flushBatch();
+    eventAbiVersion = negotiateEventAbiVersion();
 
     setupEventListeners();
 
     function gameLoop(currentTime) {
-        if (wasm && wasm.instance.exports.wasm_frame) {
-            if (eventQueue.length > 0) {
-                writeEventsToWASM();
-            }
-
-            wasm.instance.exports.wasm_frame();
+        if (!(pauseWhenHidden && document.hidden)) {
+            runFrame();
         }
-        clearEventQueue();
         requestAnimationFrame(gameLoop);
     }
 
@@ -970,55 +4558,175 @@ async function init() {
 function setupEventListeners() {
     const canvasContainer = document.getElementById('canvas-container');
     const fullscreenBtn = document.getElementById('fullscreen-btn');
+    const fileInput = document.getElementById('file-input');
+    const recordingBtn = document.getElementById('recording-btn');
+    const textInput = document.getElementById('text-input');
     
     // Store original canvas size
     let originalWidth = 0;
     let originalHeight = 0;
     
     window.addEventListener('keydown', (event) => {
+        // Keys that belong to an IME composition arrive through compositionend
+        if (event.isComposing || event.key === 'Process') {
+            return;
+        }
+
+        let handled = false;
         const osKey = mapKeyToOSKey(event);
         if (osKey !== OS_Key.UNKNOWN) {
-            pushEvent(OS_Window_Event_Type.KEYBOARD, 0, 0, 1, osKey);
-            if (!event.key.startsWith('F5') && event.key !== 'F12') {
-                event.preventDefault();
-            }
+            pushEvent(OS_Window_Event_Type.KEYBOARD, 0, 0, 1, osKey, event);
+            handled = true;
+        }
+        if (isTextKeyEvent(event)) {
+            pushTextEvents(event.key, event);
+            handled = true;
+        }
+
+        // Let Ctrl+V / Cmd+V through so the browser fires the paste event
+        // (by typed character, the shortcut follows the layout rather than the physical key)
+        const isPaste = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'v';
+        if (isPaste) {
+            pasteEventPending = true;
+            setTimeout(() => {
+                if (pasteEventPending) {
+                    pasteEventPending = false;
+                    readClipboardText();
+                }
+            }, 100);
+        }
+
+        // Dead keys still start a composition in the text input, which emits the accented text
+        const isDeadKey = event.key === 'Dead';
+
+        // Cancelling the keydown also stops the text input from receiving the character
+        if (handled && !isPaste && !isDeadKey && !event.key.startsWith('F5') && event.key !== 'F12') {
+            event.preventDefault();
         }
     });
 
     window.addEventListener('keyup', (event) => {
         const osKey = mapKeyToOSKey(event);
         if (osKey !== OS_Key.UNKNOWN) {
-            pushEvent(OS_Window_Event_Type.KEYBOARD, 0, 0, 0, osKey);
+            pushEvent(OS_Window_Event_Type.KEYBOARD, 0, 0, 0, osKey, event);
             if (!event.key.startsWith('F5') && event.key !== 'F12') {
                 event.preventDefault();
             }
         }
     });
 
-    canvas.addEventListener('mousedown', (event) => {
-        const pos = getMousePos(event);
-        const osKey = mapMouseButtonToOSKey(event.button);
-        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 1, osKey);
+    // Text that did not come through keydown (virtual keyboards, dead keys)
+    textInput.addEventListener('beforeinput', (event) => {
+        if (event.isComposing) {
+            return;
+        }
+        if (event.inputType === 'insertText' && event.data) {
+            pushTextEvents(event.data, event);
+        }
         event.preventDefault();
     });
 
-    canvas.addEventListener('mouseup', (event) => {
-        const pos = getMousePos(event);
+    textInput.addEventListener('compositionend', (event) => {
+        if (event.data) {
+            pushTextEvents(event.data, event);
+        }
+        textInput.value = '';
+    });
+
+    document.addEventListener('pointerlockchange', () => {
+        const locked = isPointerLocked();
+        if (!locked && !fullscreenChanging) {
+            pointerLockWanted = false;
+        }
+        pushEvent(OS_Window_Event_Type.POINTER_LOCK, 0, 0, locked ? 1 : 0, 0);
+    });
+
+    document.addEventListener('pointerlockerror', () => {
+        console.warn('Pointer lock request was rejected');
+        pointerLockWanted = false;
+        pushEvent(OS_Window_Event_Type.POINTER_LOCK, 0, 0, 0, 0);
+    });
+
+    canvas.addEventListener('pointerdown', (event) => {
+        // Keep receiving moves and the release when the pointer leaves the canvas
+        canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+
+        lastPointerType = event.pointerType;
+        if (event.pointerType === 'touch') {
+            if (textInputWanted) {
+                textInput.focus();
+            }
+            handleTouchStart(event);
+            return;
+        }
+
+        if (relockOnNextClick) {
+            relockOnNextClick = false;
+            if (pointerLockWanted && !isPointerLocked()) {
+                requestCanvasPointerLock();
+            }
+        }
+
+        // Touches focus it only when WASM wants text input, see js_set_text_input_active
+        textInput.focus();
+
+        const pos = isPointerLocked() ? mousePos : getMousePos(event);
         const osKey = mapMouseButtonToOSKey(event.button);
-        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 0, osKey);
+        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 1, osKey, event);
+    });
+
+    canvas.addEventListener('pointerup', (event) => {
         event.preventDefault();
+
+        if (event.pointerType === 'touch') {
+            handleTouchEnd(event);
+            return;
+        }
+
+        const pos = isPointerLocked() ? mousePos : getMousePos(event);
+        const osKey = mapMouseButtonToOSKey(event.button);
+        pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, 0, osKey, event);
     });
 
-    canvas.addEventListener('mousemove', (event) => {
-        const pos = getMousePos(event);
+    canvas.addEventListener('pointercancel', (event) => {
+        if (event.pointerType === 'touch') {
+            handleTouchEnd(event);
+        }
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (event.pointerType === 'touch') {
+            handleTouchMove(event);
+            return;
+        }
+
+        const locked = isPointerLocked();
+        const pos = locked ? mousePos : getMousePos(event);
+
+        // Pressing or releasing a second button while another is held is
+        // reported as a pointermove with `button` set, not as pointerdown/up
+        if (event.button >= 0) {
+            const pressed = (event.buttons & mouseButtonToButtonsMask(event.button)) !== 0 ? 1 : 0;
+            pushEvent(OS_Window_Event_Type.MOUSE_BUTTON, pos.x, pos.y, pressed, mapMouseButtonToOSKey(event.button), event);
+        }
+
+        if (locked) {
+            pushMouseDeltaEvent(event.movementX, event.movementY, event);
+            return;
+        }
+
         mousePos = pos;
-        pushEvent(OS_Window_Event_Type.MOUSE_MOVE, pos.x, pos.y, 0, 0);
+        pushEvent(OS_Window_Event_Type.MOUSE_MOVE, pos.x, pos.y, 0, 0, event);
     });
 
     canvas.addEventListener('wheel', (event) => {
         const scrollDirectionY = -Math.sign(event.deltaY);
         const scrollDirectionX = -Math.sign(event.deltaX);
-        pushEvent(OS_Window_Event_Type.MOUSE_SCROLL, scrollDirectionX, scrollDirectionY, 0, 0);
+        pushEvent(OS_Window_Event_Type.MOUSE_SCROLL, scrollDirectionX, scrollDirectionY, 0, 0, event);
+
+        const delta = getWheelPixelDelta(event);
+        pushPreciseScrollEvent(delta.x, delta.y, event);
         event.preventDefault();
     });
 
@@ -1026,6 +4734,78 @@ function setupEventListeners() {
         event.preventDefault();
     });
 
+    canvasContainer.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    });
+
+    canvasContainer.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const pos = getMousePos(event);
+        importFiles(event.dataTransfer.files, pos.x, pos.y);
+    });
+
+    fileInput.addEventListener('change', () => {
+        importFiles(fileInput.files, -1, -1);
+    });
+
+    document.addEventListener('paste', (event) => {
+        pasteEventPending = false;
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        if (text) {
+            pushClipboardEvent(text);
+        }
+        event.preventDefault();
+    });
+
+    window.addEventListener('focus', () => {
+        pushEvent(OS_Window_Event_Type.FOCUS, 0, 0, 1, 0);
+    });
+
+    window.addEventListener('blur', () => {
+        releaseHeldInput();
+        pushEvent(OS_Window_Event_Type.BLUR, 0, 0, 0, 0);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        const visible = document.visibilityState === 'visible';
+        if (!visible) {
+            releaseHeldInput();
+        }
+        pushEvent(OS_Window_Event_Type.VISIBILITY, 0, 0, visible ? 1 : 0, 0);
+
+        // Frames stop while hidden, deliver the notification now so WASM can react first
+        if (!visible && pauseWhenHidden) {
+            runExtraFrame();
+        }
+    });
+
+    // pagehide rather than beforeunload: it also fires on mobile and when the
+    // page enters the back/forward cache, and cannot be cancelled afterwards
+    window.addEventListener('pagehide', () => {
+        releaseHeldInput();
+        // This is the last frame, so CLOSE goes first rather than being
+        // carried over when the queue holds more than one frame's worth
+        const close = pushEvent(OS_Window_Event_Type.CLOSE, 0, 0, 0, 0);
+        if (close) {
+            eventQueue.pop();
+            eventQueue.unshift(close);
+        }
+        runExtraFrame();
+    });
+
+    // Restored from the back/forward cache: WASM has already handled CLOSE,
+    // so start over instead of running on after it
+    window.addEventListener('pageshow', (event) => {
+        if (event.persisted) {
+            location.reload();
+        }
+    });
+
+    recordingBtn.addEventListener('click', () => {
+        downloadInputRecording();
+    });
+
     fullscreenBtn.addEventListener('click', () => {
         toggleFullscreen();
     });
@@ -1040,7 +4820,9 @@ function setupEventListeners() {
                                      canvasContainer.webkitRequestFullscreen || 
                                      canvasContainer.mozRequestFullScreen;
             if (requestFullscreen) {
+                fullscreenChanging = true;
                 requestFullscreen.call(canvasContainer).catch(err => {
+                    fullscreenChanging = false;
                     console.error(`Error attempting to enable fullscreen: ${err.message}`);
                 });
             }
@@ -1049,6 +4831,7 @@ function setupEventListeners() {
                                   document.webkitExitFullscreen || 
                                   document.mozCancelFullScreen;
             if (exitFullscreen) {
+                fullscreenChanging = true;
                 exitFullscreen.call(document);
             }
         }
@@ -1090,6 +4873,18 @@ function setupEventListeners() {
             // Notify WASM of resize
             pushEvent(OS_Window_Event_Type.RESIZE, originalWidth, originalHeight, 0, 0);
         }
+
+        // Scissor rectangles are flipped using the canvas height
+        if (gl) {
+            applyScissor();
+        }
+
+        // Some browsers drop the pointer lock when entering or leaving fullscreen.
+        // Requesting it here is not a user gesture and would be rejected.
+        fullscreenChanging = false;
+        if (pointerLockWanted && !isPointerLocked()) {
+            relockOnNextClick = true;
+        }
     }
 
     document.addEventListener('fullscreenchange', handleFullscreenChange);
@@ -1097,7 +4892,7 @@ function setupEventListeners() {
     document.addEventListener('mozfullscreenchange', handleFullscreenChange);
 
     canvas.tabIndex = 1;
-    canvas.focus();
+    textInput.focus();
 }
 
 // Start the application
@@ -0,0 +1,341 @@
+// ============================================================================
+// Service Worker: offline support with a versioned asset cache
+// ============================================================================
+//
+// Every file the app needs is precached into a cache named after a content
+// hash of all of them ("swar-<hash>"), then served cache-first. The page asks
+// for an update check on each load, which only sends HEAD requests and
+// compares each file's ETag/Last-Modified with the ones seen when it was
+// cached. When any differs, every file is downloaded again into a new cache
+// next to the current one and the page is told so it can offer a reload. The
+// old cache keeps serving until then.
+//
+// The core files must download for the install to succeed; assets from the
+// manifest that fail are skipped and fetched from the network when requested.
+
+const CACHE_PREFIX = 'swar-';
+const META_CACHE = 'swar-meta';
+const META_CURRENT = 'meta/current';
+const META_PENDING = 'meta/pending';
+
+/**
+ * Files precached besides the ones listed in the asset manifest
+ * @type {string[]}
+ */
+const CORE_FILES = [
+    './',
+    'index.html',
+    'index.js',
+    'swar.wasm',
+    'assets.json',
+];
+
+/**
+ * Cache version record stored in the meta cache
+ * @typedef {Object} CacheVersion
+ * @property {string} version - Content hash of every precached file
+ * @property {Object<string, string | null>} files - Signature of each file by
+ *     path (see fileSignature), null for assets that could not be downloaded
+ */
+
+/**
+ * @param {string} path - Path relative to the service worker scope
+ * @returns {string} Absolute URL
+ */
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * @param {ArrayBuffer} data
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+async function sha256(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} path - Path relative to the service worker scope
+ * @returns {Promise<Response>} Network response, bypassing the HTTP cache
+ */
+async function fetchFromNetwork(path) {
+    const response = await fetch(scopedUrl(path), { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${path} (${response.status})`);
+    }
+    return response;
+}
+
+/**
+ * Identifies a deployed file version by its validator headers
+ * @param {Response} response - GET or HEAD response
+ * @returns {string | null} Null if the server sends neither ETag nor Last-Modified
+ */
+function headerSignature(response) {
+    const etag = response.headers.get('ETag');
+    const modified = response.headers.get('Last-Modified');
+    if (!etag && !modified) {
+        return null;
+    }
+    return `${etag || ''}|${modified || ''}`;
+}
+
+/**
+ * Looks up the signature of the deployed copy of a file without downloading it
+ * Servers without validator headers (or without HEAD support) get the file
+ * downloaded and hashed instead.
+ * @param {string} path - Path relative to the service worker scope
+ * @returns {Promise<string | null>} Null if the file does not exist
+ */
+async function fileSignature(path) {
+    const response = await fetch(scopedUrl(path), { method: 'HEAD', cache: 'no-cache' });
+    if (response.status === 404) {
+        return null;
+    }
+    const signature = response.ok ? headerSignature(response) : null;
+    if (signature) {
+        return signature;
+    }
+    return sha256(await (await fetchFromNetwork(path)).arrayBuffer());
+}
+
+/**
+ * @param {CacheVersion} record - Version to compare against
+ * @returns {Promise<boolean>} True if any deployed file differs from the record
+ */
+async function filesChanged(record) {
+    const paths = Object.keys(record.files);
+    const signatures = await Promise.all(paths.map(fileSignature));
+    return paths.some((path, i) => signatures[i] !== record.files[path]);
+}
+
+/**
+ * @param {string} key - META_CURRENT or META_PENDING
+ * @returns {Promise<CacheVersion | null>}
+ */
+async function readMeta(key) {
+    const cache = await caches.open(META_CACHE);
+    const response = await cache.match(scopedUrl(key));
+    return response ? response.json() : null;
+}
+
+/**
+ * @param {string} key - META_CURRENT or META_PENDING
+ * @param {CacheVersion | null} value - Record to store, or null to remove it
+ * @returns {Promise<void>}
+ */
+async function writeMeta(key, value) {
+    const cache = await caches.open(META_CACHE);
+    if (value) {
+        await cache.put(scopedUrl(key), new Response(JSON.stringify(value)));
+    } else {
+        await cache.delete(scopedUrl(key));
+    }
+}
+
+/**
+ * Downloaded copy of a precached file
+ * @typedef {Object} FileBody
+ * @property {string} path
+ * @property {Headers | null} headers
+ * @property {ArrayBuffer | null} data - Null for assets that could not be downloaded
+ * @property {string | null} signature - See fileSignature
+ */
+
+/**
+ * Downloads every precached file: the core files and everything in the manifest
+ * A missing asset is logged and skipped, a missing core file is an error.
+ * @returns {Promise<FileBody[]>}
+ */
+async function fetchPrecacheFiles() {
+    const manifestResponse = await fetchFromNetwork('assets.json');
+    const manifest = await manifestResponse.clone().json();
+    const assetPaths = (manifest.files || []).map((entry) => entry.path);
+    const paths = CORE_FILES.concat(assetPaths.filter((path) => !CORE_FILES.includes(path)));
+
+    return Promise.all(paths.map(async (path) => {
+        try {
+            const response = path === 'assets.json' ? manifestResponse : await fetchFromNetwork(path);
+            const data = await response.arrayBuffer();
+            return {
+                path,
+                headers: response.headers,
+                data,
+                signature: headerSignature(response) || await sha256(data),
+            };
+        } catch (error) {
+            if (CORE_FILES.includes(path)) {
+                throw error;
+            }
+            console.warn(`Not precaching ${path}:`, error);
+            return { path, headers: null, data: null, signature: null };
+        }
+    }));
+}
+
+/**
+ * @param {FileBody[]} bodies
+ * @returns {Promise<string>} Hash covering the paths and contents of every downloaded file
+ */
+async function computeVersion(bodies) {
+    const encoder = new TextEncoder();
+    const parts = bodies
+        .filter((body) => body.data)
+        .flatMap((body) => [encoder.encode(body.path + '\n'), new Uint8Array(body.data)]);
+
+    const totalSize = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const combined = new Uint8Array(totalSize);
+    let offset = 0;
+    for (const part of parts) {
+        combined.set(part, offset);
+        offset += part.byteLength;
+    }
+
+    return (await sha256(combined)).slice(0, 16);
+}
+
+/**
+ * @param {FileBody[]} bodies
+ * @returns {Object<string, string | null>} Signature of each file by path
+ */
+function fileSignatures(bodies) {
+    return Object.fromEntries(bodies.map((body) => [body.path, body.signature]));
+}
+
+/**
+ * Stores downloaded files under the versioned cache for their content hash
+ * @param {FileBody[]} bodies
+ * @returns {Promise<CacheVersion>}
+ */
+async function storeCache(bodies) {
+    const version = await computeVersion(bodies);
+    const cache = await caches.open(CACHE_PREFIX + version);
+    await Promise.all(bodies.filter((body) => body.data).map((body) => {
+        return cache.put(scopedUrl(body.path), new Response(body.data, { headers: body.headers }));
+    }));
+
+    return { version, files: fileSignatures(bodies) };
+}
+
+/**
+ * Downloads every precached file and stores them under a new versioned cache
+ * @returns {Promise<CacheVersion>}
+ */
+async function buildCache() {
+    return storeCache(await fetchPrecacheFiles());
+}
+
+/**
+ * Deletes versioned caches that are neither current nor pending
+ * @returns {Promise<void>}
+ */
+async function deleteStaleCaches() {
+    const keep = new Set([META_CACHE]);
+    for (const key of [META_CURRENT, META_PENDING]) {
+        const meta = await readMeta(key);
+        if (meta) keep.add(CACHE_PREFIX + meta.version);
+    }
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && !keep.has(name))
+        .map((name) => caches.delete(name)));
+}
+
+/**
+ * Builds a pending cache if any deployed file differs from the cached ones
+ * Files are only downloaded once a signature has changed, so changes to
+ * index.js, index.html, assets.json or an asset are found as well as to
+ * swar.wasm without fetching everything on each visit.
+ * @returns {Promise<boolean>} True if an update is ready to apply
+ */
+async function checkForUpdate() {
+    const pending = await readMeta(META_PENDING);
+    if (pending && !(await filesChanged(pending))) {
+        return true;
+    }
+    const current = await readMeta(META_CURRENT);
+    if (current && !(await filesChanged(current))) {
+        return false;
+    }
+
+    const bodies = await fetchPrecacheFiles();
+    const version = await computeVersion(bodies);
+    if (current && current.version === version) {
+        // Redeployed with the same contents, remember the new signatures
+        await writeMeta(META_CURRENT, { version, files: fileSignatures(bodies) });
+        await writeMeta(META_PENDING, null);
+        return false;
+    }
+
+    await writeMeta(META_PENDING, await storeCache(bodies));
+    return true;
+}
+
+/**
+ * Switches to the pending cache and drops the old one
+ * @returns {Promise<void>}
+ */
+async function applyUpdate() {
+    const pending = await readMeta(META_PENDING);
+    if (pending) {
+        await writeMeta(META_CURRENT, pending);
+        await writeMeta(META_PENDING, null);
+    }
+    await deleteStaleCaches();
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        await writeMeta(META_CURRENT, await buildCache());
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        await deleteStaleCaches();
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        const current = await readMeta(META_CURRENT);
+        if (current) {
+            const cache = await caches.open(CACHE_PREFIX + current.version);
+            const key = request.mode === 'navigate' ? scopedUrl('./') : request;
+            const cached = await cache.match(key, { ignoreSearch: true });
+            if (cached) {
+                return cached;
+            }
+        }
+        return fetch(request);
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const client = event.source;
+    const type = event.data && event.data.type;
+
+    if (type === 'check-update') {
+        event.waitUntil(checkForUpdate().then((available) => {
+            if (available) {
+                client.postMessage({ type: 'update-available' });
+            }
+        }).catch((error) => {
+            // Expected while offline
+            console.warn('Update check failed:', error);
+        }));
+    } else if (type === 'apply-update') {
+        event.waitUntil(applyUpdate().then(() => {
+            client.postMessage({ type: 'update-applied' });
+        }));
+    }
+});